@@ -0,0 +1,122 @@
+"use strict";
+
+// Loads the declarations of the built-in ECMAScript and DOM APIs which the WinJS d.ts
+// refers to (HTMLElement, Event, Array...). They come from the lib.d.ts bundled in lib/,
+// which is split into the following targets:
+//
+//   es5:           the ECMAScript 5 APIs.
+//   es-extensions: the extensions to ECMAScript 5 which IE10 and IE11 implement: typed
+//                  arrays, Map, Set, WeakMap and the ECMAScript Internationalization
+//                  API. Implies es5.
+//   dom:           the DOM, web worker and Windows Script Host APIs. Implies es5.
+
+var fs = require('fs');
+var path = require('path');
+
+var bundledLibPath = path.join(__dirname, "lib", "lib.d.ts");
+
+// The titles of the sections of the bundled lib.d.ts which make up each target
+var targets = {
+    es5: {
+        implies: [],
+        sections: ["ECMAScript APIs", "ECMAScript Array API (specially handled by compiler)"]
+    },
+    "es-extensions": {
+        implies: ["es5"],
+        sections: ["IE10 ECMAScript Extensions", "IE11 ECMAScript Extensions"]
+    },
+    dom: {
+        implies: ["es5"],
+        sections: ["IE DOM APIs", "WorkerGlobalScope APIs", "Windows Script Host APIS"]
+    }
+};
+
+var defaultTargets = ["es-extensions", "dom"];
+
+// Sections are introduced by banners such as:
+//   /////////////////////////////
+//   /// ECMAScript APIs
+//   /////////////////////////////
+var bannerPattern = /^\/{29}\r?\n\/\/\/ (.*?) *\r?\n\/{29}\r?$/mg;
+
+// Returns the text before the first banner (the license) and a map from section title
+// to text.
+function splitSections(text) {
+    var banners = [];
+    var match;
+    while ((match = bannerPattern.exec(text)) !== null) {
+        banners.push({ title: match[1], index: match.index });
+    }
+    var sections = {};
+    banners.forEach(function (banner, i) {
+        var end = i + 1 < banners.length ? banners[i + 1].index : text.length;
+        sections[banner.title] = text.substring(banner.index, end);
+    });
+    return {
+        header: text.substring(0, banners.length > 0 ? banners[0].index : text.length),
+        sections: sections
+    };
+}
+
+function addTarget(selected, name) {
+    if (!targets.hasOwnProperty(name)) {
+        throw "Unknown target: " + name + ". Expected one of: " + Object.keys(targets).join(", ");
+    }
+    targets[name].implies.forEach(addTarget.bind(null, selected));
+    if (selected.indexOf(name) === -1) {
+        selected.push(name);
+    }
+}
+
+function selectSections(text, targetNames) {
+    var selected = [];
+    targetNames.forEach(addTarget.bind(null, selected));
+    var lib = splitSections(text);
+    // Keep the sections in the order of the file so that the output is stable
+    var titles = [];
+    Object.keys(targets).forEach(function (name) {
+        if (selected.indexOf(name) !== -1) {
+            targets[name].sections.forEach(function (title) {
+                if (!lib.sections.hasOwnProperty(title)) {
+                    throw "The section " + title + " of the " + name + " target is missing from " + bundledLibPath;
+                }
+                titles.push(title);
+            });
+        }
+    });
+    return lib.header + titles.map(function (title) {
+        return lib.sections[title];
+    }).join("");
+}
+
+// Returns the tscore inputs for the baseline, to be placed before the WinJS d.ts.
+// options.targets: names of the targets to include. Defaults to es-extensions and dom.
+// options.libFile: path of a d.ts to use instead of the bundled lib.d.ts. All of it is
+// used regardless of options.targets.
+// When options.libFile isn't given and the bundled lib.d.ts is missing, a warning is
+// recorded in options.diagnostics (or printed without one) and no baseline is returned.
+// References to built-in types are then left unresolved.
+function loadBaseline(options) {
+    if (options.libFile) {
+        if (!fs.existsSync(options.libFile)) {
+            throw "Cannot find the lib file " + options.libFile;
+        }
+        return [{ file: ">" + path.basename(options.libFile), text: fs.readFileSync(options.libFile, "utf8") }];
+    }
+    if (!fs.existsSync(bundledLibPath)) {
+        var message = bundledLibPath + " is missing. Built-in types such as HTMLElement will be " +
+            "left unresolved. Pass a lib file to use instead.";
+        if (options.diagnostics) {
+            options.diagnostics.warning(message);
+        } else {
+            console.warn("Warning: " + message);
+        }
+        return [];
+    }
+    var text = fs.readFileSync(bundledLibPath, "utf8");
+    return [{ file: ">lib.d.ts", text: selectSections(text, options.targets || defaultTargets) }];
+}
+
+loadBaseline.targets = Object.keys(targets);
+
+module.exports = loadBaseline;
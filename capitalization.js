@@ -0,0 +1,106 @@
+"use strict";
+
+// WinJS event properties are all lowercase (e.g. onreceivingfocusonkeyboardinput) but
+// wrappers expose them in camel case (onReceivingFocusOnKeyboardInput). This module
+// recovers the camel case by segmenting the name into words taken from the d.ts itself.
+
+// "receivingFocusOnKeyboardInput" -> ["receiving", "focus", "on", "keyboard", "input"]
+function splitIdentifier(id) {
+    return id
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+        .toLowerCase()
+        .split(" ");
+}
+
+function isEventProperty(token) {
+    return /^on[a-z]+$/.test(token);
+}
+
+// Returns the segmentations of s which use the fewest words. Returns an empty array if s
+// can't be segmented.
+function segment(s, words) {
+    // best[i] holds the best segmentations of s.substring(0, i)
+    var best = [{ count: 0, segmentations: [[]] }];
+    for (var i = 1; i <= s.length; i++) {
+        for (var j = 0; j < i; j++) {
+            var word = s.substring(j, i);
+            if (!best[j] || !words.hasOwnProperty(word)) {
+                continue;
+            }
+            var count = best[j].count + 1;
+            var segmentations = best[j].segmentations.map(function (words) {
+                return words.concat([word]);
+            });
+            if (!best[i] || count < best[i].count) {
+                best[i] = { count: count, segmentations: segmentations };
+            } else if (count === best[i].count) {
+                best[i].segmentations = best[i].segmentations.concat(segmentations);
+            }
+        }
+    }
+    return best[s.length] ? best[s.length].segmentations : [];
+}
+
+// Builds the word list from every identifier and comment word in the given d.ts texts.
+// Event names appear in lowercase in the d.ts (e.g. "afterclose" in the documentation of
+// onafterclose) so a lowercase token which is the name of an event and can itself be
+// split into several words is left out. Otherwise, "afterclose" would be a word and
+// onafterclose would come out as onAfterclose.
+function buildWordList(texts) {
+    var tokens = [];
+    texts.forEach(function (text) {
+        tokens = tokens.concat(text.match(/[A-Za-z]+/g) || []);
+    });
+    var words = {};
+    var eventTypes = {};
+    tokens.forEach(function (token) {
+        if (isEventProperty(token)) {
+            eventTypes[token.substring(2)] = true;
+        } else {
+            splitIdentifier(token).forEach(function (word) {
+                if (word.length > 1) {
+                    words[word] = true;
+                }
+            });
+        }
+    });
+    Object.keys(eventTypes).forEach(function (eventType) {
+        if (words[eventType]) {
+            delete words[eventType];
+            var segmentations = segment(eventType, words);
+            if (segmentations.length === 0 || segmentations[0].length < 2) {
+                words[eventType] = true;
+            }
+        }
+    });
+    return words;
+}
+
+function capitalize(word) {
+    return word[0].toUpperCase() + word.substring(1);
+}
+
+// Given a lowercase event name like "onafterclose", returns:
+//   {
+//     name: "onAfterClose",
+//     alternatives: [] // other equally good capitalizations, if the segmentation is ambiguous
+//   }
+// Returns null if the name can't be segmented into words from the word list.
+function capitalizeEventName(eventName, words) {
+    var names = segment(eventName.substring(2), words).map(function (words) {
+        return "on" + words.map(capitalize).join("");
+    });
+    if (names.length === 0) {
+        return null;
+    }
+    return {
+        name: names[0],
+        alternatives: names.slice(1)
+    };
+}
+
+module.exports = {
+    buildWordList: buildWordList,
+    capitalizeEventName: capitalizeEventName
+};
@@ -0,0 +1,129 @@
+"use strict";
+
+// Loads the project configuration which controls which classes are treated as controls
+// and how their members are reported. The configuration is read from the file passed
+// with --config or, failing that, from winjs-control-apis.config.js or
+// winjs-control-apis.config.json in the current directory. Every setting is optional:
+//
+//   {
+//     // Classes directly or indirectly within these namespaces are controls.
+//     "rootNamespaces": ["WinJS.UI"],
+//     // Classes within the root namespaces which aren't controls. Replaces the default list.
+//     "ignoredClasses": ["WinJS.UI.Repeater"],
+//     // Classes outside of the root namespaces which are controls.
+//     "extraControls": ["MyApp.UI.ColorPicker"],
+//     // Members to leave out of the output, by qualified class name.
+//     "excludedMembers": { "WinJS.UI.ListView": ["loadingBehavior"] },
+//     // Whether properties are read-only, by qualified class name, for properties whose
+//     // doc comment is misleading. In addition to the defaults.
+//     "readonlyOverrides": { "WinJS.UI.ListView": { "loadingState": true } },
+//     // Event name capitalizations, in addition to those in event-names.json.
+//     "eventNames": { "oncolorchanged": "onColorChanged" }
+//   }
+
+var fs = require('fs');
+var path = require('path');
+
+var configFileNames = [
+    "winjs-control-apis.config.js",
+    "winjs-control-apis.config.json"
+];
+
+var defaultEventNamesPath = path.join(__dirname, "event-names.json");
+
+function getDefaults() {
+    return {
+        rootNamespaces: ["WinJS.UI"],
+        ignoredClasses: [
+            "WinJS.UI.DOMEventMixin",
+            "WinJS.UI.HtmlControl",
+            "WinJS.UI.Layout",
+            "WinJS.UI.MediaElementAdapter",
+            "WinJS.UI.MediaPlayer",
+            "WinJS.UI.Repeater",
+            "WinJS.UI.SettingsFlyout",
+            "WinJS.UI.StorageDataSource",
+            "WinJS.UI.TabContainer",
+            "WinJS.UI.ViewBox",
+            "WinJS.UI.VirtualizedDataSource"
+        ],
+        extraControls: [],
+        excludedMembers: {},
+        // Writable properties whose doc comment only says "Gets ...".
+        readonlyOverrides: {
+            "WinJS.UI.HubSection": { isHeaderStatic: false },
+            "WinJS.UI.MenuCommand": { hidden: false }
+        },
+        // Event names which capitalization.js doesn't segment correctly.
+        eventNames: JSON.parse(fs.readFileSync(defaultEventNamesPath, "utf8"))
+    };
+}
+
+function readConfigFile(filePath) {
+    if (path.extname(filePath) === ".js") {
+        // Read the file again if it was loaded before, as it may have changed (--watch)
+        delete require.cache[require.resolve(filePath)];
+        return require(filePath);
+    } else {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+}
+
+function findConfigFile(dir) {
+    for (var i = 0; i < configFileNames.length; i++) {
+        var filePath = path.join(dir, configFileNames[i]);
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+function mergeReadonlyOverrides(config, readonlyOverrides) {
+    Object.keys(readonlyOverrides).forEach(function (className) {
+        var overrides = config.readonlyOverrides[className] = config.readonlyOverrides[className] || {};
+        Object.keys(readonlyOverrides[className]).forEach(function (propName) {
+            overrides[propName] = readonlyOverrides[className][propName];
+        });
+    });
+}
+
+function mergeEventNames(config, eventNames) {
+    Object.keys(eventNames).forEach(function (eventName) {
+        config.eventNames[eventName] = eventNames[eventName];
+    });
+}
+
+// options.configPath: path of the configuration file. When omitted, the current
+// directory is searched.
+// options.eventNames: path of a JSON file of additional event name capitalizations.
+// Returns the defaults overridden by the settings in the configuration file, if any.
+function loadConfig(options) {
+    var config = getDefaults();
+    var configPath = options.configPath ? path.resolve(options.configPath) : findConfigFile(process.cwd());
+    if (configPath) {
+        var userConfig = readConfigFile(configPath);
+        Object.keys(userConfig).forEach(function (key) {
+            if (!config.hasOwnProperty(key)) {
+                throw "Unknown setting in " + configPath + ": " + key;
+            }
+            if (key === "eventNames") {
+                mergeEventNames(config, userConfig.eventNames);
+            } else if (key === "readonlyOverrides") {
+                mergeReadonlyOverrides(config, userConfig.readonlyOverrides);
+            } else {
+                config[key] = userConfig[key];
+            }
+        });
+        config.path = configPath;
+    }
+    if (options.eventNames) {
+        mergeEventNames(config, JSON.parse(fs.readFileSync(options.eventNames, "utf8")));
+    }
+    return config;
+}
+
+// The names of the configuration file looked for in the current directory
+loadConfig.fileNames = configFileNames;
+
+module.exports = loadConfig;
@@ -0,0 +1,272 @@
+"use strict";
+
+// Compares the output of getControlsAndProperties for two versions of WinJS and reports
+// which controls, properties, events, methods and enum values were added, removed or
+// changed.
+
+var emitters = require('./emitters');
+
+function startsWith(s, prefix) {
+    return s.substring(0, prefix.length) === prefix;
+}
+
+function memberKind(name) {
+    return startsWith(name, "on") ? "event" : "property";
+}
+
+function describeType(typeInfo) {
+    switch (typeInfo.type) {
+        case "enum":
+            return typeInfo.name ? "enum " + typeInfo.name : "enum";
+        case "reference":
+            var args = typeInfo.typeArguments || [];
+            return typeInfo.name + (args.length > 0 ? "<" + args.map(describeType).join(", ") + ">" : "");
+        case "type-param":
+            return typeInfo.name;
+        case "string-const":
+            return JSON.stringify(typeInfo.value);
+        case "union":
+            return typeInfo.types.map(describeType).join(" | ");
+        case "tuple":
+            return "[" + typeInfo.elements.map(describeType).join(", ") + "]";
+        case "object":
+            var members = Object.keys(typeInfo.properties).sort().map(function (name) {
+                var prop = typeInfo.properties[name];
+                return name + (prop.optional ? "?" : "") + ": " + describeType(prop.type);
+            }).concat(typeInfo.calls.map(function (call) {
+                return (call.new ? "new " : "") + describeParameters(call) + " => " + describeType(call.returnType);
+            }));
+            return "{ " + members.join("; ") + " }";
+        case "event":
+            return "(eventInfo: " + describeType(typeInfo.eventInfo) + ") => void" +
+                (typeInfo.detail ? " with detail " + describeType(typeInfo.detail) : "");
+        default:
+            return typeInfo.type;
+    }
+}
+
+function describeParameters(overload) {
+    var params = overload.parameters.map(function (param, i) {
+        var isRest = overload.variadic && i === overload.parameters.length - 1;
+        return (isRest ? "..." : "") + param.name + (param.optional ? "?" : "") + ": " + describeType(param.type);
+    });
+    return "(" + params.join(", ") + ")";
+}
+
+function describeMethod(overloads) {
+    return overloads.map(function (overload) {
+        return describeParameters(overload) + " => " + describeType(overload.returnType);
+    }).join(" | ");
+}
+
+// e.g. "new (element?: HTMLElement, options)"
+function describeConstructor(ctor) {
+    var params = [];
+    if (ctor.element) {
+        params.push("element" + (ctor.element.optional ? "?" : "") + ": " + describeType(ctor.element.type));
+    }
+    if (ctor.options) {
+        params.push("options");
+    }
+    return ["new (" + params.join(", ") + ")"].concat(ctor.otherOverloads.map(function (overload) {
+        return "new " + describeParameters(overload);
+    })).join(" | ");
+}
+
+// The type of a property or event as shown in the report, e.g. "readonly HTMLElement".
+function describeMember(typeInfo) {
+    return (typeInfo.readonly ? "readonly " : "") + describeType(typeInfo);
+}
+
+// Enum values are compared separately so that adding a value to an enum is reported as
+// such rather than as a change of type. Whether the member is read-only is compared
+// separately as well, so that the values added to an enum are still reported when the
+// property also becomes read-only. Descriptions aren't part of the type.
+function typeKey(typeInfo) {
+    if (typeInfo.type === "enum") {
+        return describeType(typeInfo);
+    }
+    var type = {};
+    Object.keys(typeInfo).forEach(function (key) {
+        if (key !== "description" && key !== "readonly") {
+            type[key] = typeInfo[key];
+        }
+    });
+    return emitters.json(type);
+}
+
+function added(oldKeys, newKeys) {
+    return newKeys.filter(function (key) {
+        return oldKeys.indexOf(key) === -1;
+    }).sort();
+}
+
+function diffMember(name, oldType, newType) {
+    var changes = [];
+    var sameType = typeKey(oldType) === typeKey(newType);
+    if (!sameType || !!oldType.readonly !== !!newType.readonly) {
+        changes.push({
+            change: "changed",
+            kind: memberKind(name),
+            name: name,
+            from: describeMember(oldType),
+            to: describeMember(newType)
+        });
+    }
+    if (sameType && oldType.type === "enum") {
+        added(oldType.values, newType.values).forEach(function (value) {
+            changes.push({ change: "added", kind: "enum value", name: name, value: value });
+        });
+        added(newType.values, oldType.values).forEach(function (value) {
+            changes.push({ change: "removed", kind: "enum value", name: name, value: value });
+        });
+    }
+    return changes;
+}
+
+function diffProperties(oldMembers, newMembers) {
+    var oldNames = Object.keys(oldMembers);
+    var newNames = Object.keys(newMembers);
+    var changes = [];
+    added(oldNames, newNames).forEach(function (name) {
+        changes.push({ change: "added", kind: memberKind(name), name: name, to: describeMember(newMembers[name]) });
+    });
+    added(newNames, oldNames).forEach(function (name) {
+        changes.push({ change: "removed", kind: memberKind(name), name: name, from: describeMember(oldMembers[name]) });
+    });
+    oldNames.filter(function (name) {
+        return newMembers.hasOwnProperty(name);
+    }).sort().forEach(function (name) {
+        changes = changes.concat(diffMember(name, oldMembers[name], newMembers[name]));
+    });
+    return changes;
+}
+
+function diffMethods(oldMethods, newMethods) {
+    var oldNames = Object.keys(oldMethods);
+    var newNames = Object.keys(newMethods);
+    var changes = [];
+    added(oldNames, newNames).forEach(function (name) {
+        changes.push({ change: "added", kind: "method", name: name, to: describeMethod(newMethods[name]) });
+    });
+    added(newNames, oldNames).forEach(function (name) {
+        changes.push({ change: "removed", kind: "method", name: name, from: describeMethod(oldMethods[name]) });
+    });
+    oldNames.filter(function (name) {
+        return newMethods.hasOwnProperty(name);
+    }).sort().forEach(function (name) {
+        var from = describeMethod(oldMethods[name]);
+        var to = describeMethod(newMethods[name]);
+        if (from !== to) {
+            changes.push({ change: "changed", kind: "method", name: name, from: from, to: to });
+        }
+    });
+    return changes;
+}
+
+function diffConstructor(oldConstructor, newConstructor) {
+    var from = describeConstructor(oldConstructor);
+    var to = describeConstructor(newConstructor);
+    return from === to ? [] : [{ change: "changed", kind: "constructor", name: null, from: from, to: to }];
+}
+
+function diffControl(oldControl, newControl) {
+    return diffConstructor(oldControl.constructor, newControl.constructor)
+        .concat(diffProperties(oldControl.properties, newControl.properties))
+        .concat(diffMethods(oldControl.methods, newControl.methods));
+}
+
+// Returns:
+//   {
+//     addedControls: [name],
+//     removedControls: [name],
+//     changedControls: { controlName: [change] }
+//   }
+// where each change is { change: "added"|"removed"|"changed", kind: "constructor"|"property"|"event"|"method"|"enum value", name, ... }.
+function diffControls(oldControls, newControls) {
+    var oldNames = Object.keys(oldControls);
+    var newNames = Object.keys(newControls);
+    var changedControls = {};
+    oldNames.filter(function (name) {
+        return newControls.hasOwnProperty(name);
+    }).sort().forEach(function (name) {
+        var changes = diffControl(oldControls[name], newControls[name]);
+        if (changes.length > 0) {
+            changedControls[name] = changes;
+        }
+    });
+    return {
+        addedControls: added(oldNames, newNames),
+        removedControls: added(newNames, oldNames),
+        changedControls: changedControls
+    };
+}
+
+function formatChange(c) {
+    switch (c.change) {
+        case "added":
+            return c.kind === "enum value" ?
+                "+ enum value " + c.name + ": " + JSON.stringify(c.value) :
+                "+ " + c.kind + " " + c.name + ": " + c.to;
+        case "removed":
+            return c.kind === "enum value" ?
+                "- enum value " + c.name + ": " + JSON.stringify(c.value) :
+                "- " + c.kind + " " + c.name + ": " + c.from;
+        case "changed":
+            return "~ " + c.kind + (c.name ? " " + c.name : "") + ": " + c.from + " -> " + c.to;
+    }
+}
+
+function formatDiff(result) {
+    var lines = [];
+    if (result.addedControls.length > 0) {
+        lines.push("Added controls:");
+        result.addedControls.forEach(function (name) {
+            lines.push("  + " + name);
+        });
+    }
+    if (result.removedControls.length > 0) {
+        lines.push("Removed controls:");
+        result.removedControls.forEach(function (name) {
+            lines.push("  - " + name);
+        });
+    }
+    Object.keys(result.changedControls).forEach(function (name) {
+        lines.push(name + ":");
+        result.changedControls[name].forEach(function (c) {
+            lines.push("  " + formatChange(c));
+        });
+    });
+    if (lines.length === 0) {
+        lines.push("No differences.");
+    }
+    return lines.join("\n");
+}
+
+// Returns a short summary of a diff, listing the names of the controls which changed
+function formatSummary(result) {
+    var changedNames = Object.keys(result.changedControls);
+    var lines = [];
+    if (result.addedControls.length > 0) {
+        lines.push("Added controls: " + result.addedControls.join(", "));
+    }
+    if (result.removedControls.length > 0) {
+        lines.push("Removed controls: " + result.removedControls.join(", "));
+    }
+    if (changedNames.length > 0) {
+        lines.push("Changed controls: " + changedNames.map(function (name) {
+            var count = result.changedControls[name].length;
+            return name + " (" + count + (count === 1 ? " change)" : " changes)");
+        }).join(", "));
+    }
+    if (lines.length === 0) {
+        lines.push("No controls changed.");
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    diffControls: diffControls,
+    formatDiff: formatDiff,
+    formatSummary: formatSummary
+};
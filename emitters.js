@@ -0,0 +1,106 @@
+"use strict";
+
+// Emitters turn the output of getControlsAndProperties into the text of a file. All of
+// them print object keys in sorted order so the output is deterministic and diffs
+// nicely between versions of WinJS.
+
+var globalName = "RawControlApis";
+
+function indent(n) {
+    var s = "";
+    while (n-- > 0) {
+        s += "    ";
+    }
+    return s;
+}
+
+function isIdentifier(s) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(s);
+}
+
+// options.quoteKeys: when true, every object key is quoted (as JSON requires). Otherwise,
+// keys are only quoted when they aren't valid identifiers.
+function sortedPrint(obj, options, indentCount) {
+    if (obj === null) {
+        return "null";
+    } else if (typeof obj === "boolean" || typeof obj === "number") {
+        return "" + obj;
+    } else if (typeof obj === "string") {
+        return JSON.stringify(obj);
+    } else if (Array.isArray(obj)) {
+        return sortedPrintArray(obj, options, indentCount);
+    } else if (typeof obj === "object") {
+        return sortedPrintObject(obj, options, indentCount);
+    } else {
+        throw "sortedPrint: unknown type: " + (typeof obj);
+    }
+}
+
+// Arrays of strings (e.g. enum values) are sorted. Other arrays (e.g. parameters and type
+// arguments) are printed in their original order because their order is meaningful.
+function sortedPrintArray(array, options, indentCount) {
+    indentCount = (indentCount || 0) + 1;
+    var count = array.length;
+    if (count > 0) {
+        var out = "[";
+        var isStrings = array.every(function (item) { return typeof item === "string"; });
+        (isStrings ? array.slice().sort() : array).forEach(function (item, i) {
+            out += "\n" + indent(indentCount) + sortedPrint(item, options, indentCount) + (i + 1 < count ? "," : "");
+        });
+        out += "\n" + indent(indentCount - 1) + "]";
+        return out;
+    } else {
+        return "[]";
+    }
+}
+
+function sortedPrintObject(obj, options, indentCount) {
+    indentCount = (indentCount || 0) + 1;
+    var keys = Object.keys(obj);
+    var keyCount = keys.length;
+    if (keyCount > 0) {
+        var out = "{";
+        keys.sort().forEach(function (key, i) {
+            var printedKey = options.quoteKeys || !isIdentifier(key) ? JSON.stringify(key) : key;
+            out += "\n" + indent(indentCount) + printedKey + ": " + sortedPrint(obj[key], options, indentCount) + (i + 1 < keyCount ? "," : "");
+        });
+        out += "\n" + indent(indentCount - 1) + "}";
+        return out;
+    } else {
+        return "{}";
+    }
+}
+
+var emitters = {
+    // A global variable declaration. This is the default.
+    "var": function (output) {
+        return "var " + globalName + " = " + sortedPrint(output, {}) + ";";
+    },
+    "json": function (output) {
+        return sortedPrint(output, { quoteKeys: true });
+    },
+    "esm": function (output) {
+        return "export default " + sortedPrint(output, {}) + ";";
+    },
+    "cjs": function (output) {
+        return "module.exports = " + sortedPrint(output, {}) + ";";
+    },
+    // Works as an AMD module, a CommonJS module or a browser global.
+    "umd": function (output) {
+        return [
+            "(function (root, factory) {",
+            "    if (typeof define === \"function\" && define.amd) {",
+            "        define([], factory);",
+            "    } else if (typeof module === \"object\" && module.exports) {",
+            "        module.exports = factory();",
+            "    } else {",
+            "        root." + globalName + " = factory();",
+            "    }",
+            "}(this, function () {",
+            "    return " + sortedPrint(output, {}, 1) + ";",
+            "}));"
+        ].join("\n");
+    }
+};
+
+module.exports = emitters;
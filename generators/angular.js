@@ -0,0 +1,97 @@
+"use strict";
+
+// Generates an AngularJS directive for each control. Properties become two-way scope
+// bindings which are passed to the control when it's created. Writable properties are
+// also watched and pushed to the control. Events become "&" bindings which are invoked
+// with the WinJS event object available as $event.
+
+var common = require('./common');
+
+var moduleName = "winjs";
+
+function directiveName(controlName) {
+    return "win" + controlName;
+}
+
+function generateModule() {
+    return [
+        "angular.module(" + common.quote(moduleName) + ", []);",
+        ""
+    ].join("\n");
+}
+
+function generateDirective(controlName, control) {
+    var members = control.properties;
+    var split = common.splitMembers(members);
+    var scope = split.optionProperties.map(function (name) {
+        return common.quote(name) + ": \"=?\"";
+    }).concat(split.events.map(function (name) {
+        return common.quote(name) + ": \"&\"";
+    }));
+
+    var lines = [
+        "angular.module(" + common.quote(moduleName) + ").directive(" + common.quote(directiveName(controlName)) + ", function () {",
+        "    var optionProperties = " + JSON.stringify(split.optionProperties) + ";",
+        "    var properties = " + JSON.stringify(split.properties) + ";",
+        "    var events = " + JSON.stringify(split.events.map(function (name) {
+            return { binding: name, option: common.eventOptionName(name) };
+        })) + ";",
+        "    return {",
+        "        restrict: \"E\",",
+        "        replace: true,",
+        "        transclude: true,",
+        "        template: \"<div ng-transclude=\\\"true\\\"></div>\",",
+        "        scope: {" + (scope.length > 0 ? "\n" + scope.map(function (entry) {
+            return "            " + entry;
+        }).join(",\n") + "\n        " : "") + "},",
+        "        link: function ($scope, elements) {",
+        "            var element = elements[0];",
+        "            var options = {};",
+        "            optionProperties.forEach(function (name) {",
+        "                if ($scope[name] !== undefined) {",
+        "                    options[name] = $scope[name];",
+        "                }",
+        "            });",
+        "            events.forEach(function (event) {",
+        "                options[event.option] = function ($event) {",
+        "                    $scope.$evalAsync(function () {",
+        "                        $scope[event.binding]({ $event: $event });",
+        "                    });",
+        "                };",
+        "            });",
+        "            var control = new " + control.qualifiedName + "(element, options);",
+        "            properties.forEach(function (name) {",
+        "                $scope.$watch(name, function (value, oldValue) {",
+        "                    if (value !== oldValue && value !== undefined) {",
+        "                        control[name] = value;",
+        "                    }",
+        "                });",
+        "            });",
+        "            $scope.$on(\"$destroy\", function () {",
+        "                if (control.dispose) {",
+        "                    control.dispose();",
+        "                }",
+        "            });",
+        "        }",
+        "    };",
+        "});",
+        ""
+    ];
+    return lines.join("\n");
+}
+
+// Returns a map from file name to file contents: one file declaring the "winjs" module
+// and one file per control registering its directive on that module.
+function generate(controls) {
+    var files = {};
+    files[moduleName + ".module.js"] = generateModule();
+    Object.keys(controls).sort().filter(function (controlName) {
+        return common.takesElement(controls[controlName]);
+    }).forEach(function (controlName) {
+        var fileName = common.hyphenate(directiveName(controlName)) + ".js";
+        files[fileName] = generateDirective(controlName, controls[controlName]);
+    });
+    return files;
+}
+
+module.exports = generate;
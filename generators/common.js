@@ -0,0 +1,67 @@
+"use strict";
+
+// Helpers shared by the wrapper generators. Each generator receives the output of
+// getControlsAndProperties: a map from control name to the control's qualified name,
+// properties and methods. Events are the properties whose names start with "on"
+// (they've already been capitalized, e.g. "onAfterClose"). Read-only properties
+// (readonly: true) can't be written to once the control exists, but some of them, such
+// as AppBarCommand.type, can only be set through the options bag. Generators pass every
+// property to the constructor and only push later changes of writable properties.
+
+function startsWith(s, prefix) {
+    return s.substring(0, prefix.length) === prefix;
+}
+
+function isEventName(name) {
+    return startsWith(name, "on");
+}
+
+// Splits a control's properties into its events, its writable properties and its
+// read-only properties. optionProperties has both kinds of properties, which may all be
+// passed in the options bag. The lists are sorted so that the generated code is
+// deterministic.
+function splitMembers(properties) {
+    var names = Object.keys(properties).sort();
+    return {
+        optionProperties: names.filter(function (name) { return !isEventName(name); }),
+        properties: names.filter(function (name) { return !isEventName(name) && !properties[name].readonly; }),
+        readonlyProperties: names.filter(function (name) { return !isEventName(name) && properties[name].readonly; }),
+        events: names.filter(isEventName)
+    };
+}
+
+// Whether the control is created on a host element. The ListView layouts, for example,
+// only take an options bag, so there's no element to wrap and the element-based
+// generators skip them.
+function takesElement(control) {
+    return control.constructor.element !== null;
+}
+
+// "onAfterClose" -> "afterclose", the name WinJS uses with addEventListener.
+function eventTypeName(eventName) {
+    return eventName.substring(2).toLowerCase();
+}
+
+// "onAfterClose" -> "onafterclose", the name WinJS accepts in the options bag.
+function eventOptionName(eventName) {
+    return eventName.toLowerCase();
+}
+
+// "AppBarCommand" -> "app-bar-command"
+function hyphenate(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+function quote(s) {
+    return JSON.stringify(s);
+}
+
+module.exports = {
+    isEventName: isEventName,
+    splitMembers: splitMembers,
+    takesElement: takesElement,
+    eventTypeName: eventTypeName,
+    eventOptionName: eventOptionName,
+    hyphenate: hyphenate,
+    quote: quote
+};
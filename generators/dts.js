@@ -0,0 +1,96 @@
+"use strict";
+
+// Generates a TypeScript declaration file with an options interface for each control,
+// e.g. WinJS.UI.SplitViewOptions, describing the options bag accepted by
+// new WinJS.UI.SplitView(element, options). Every member is optional. Events use the
+// lowercase names that WinJS reads from the options bag (e.g. onafterclose) and are typed
+// with the event object type declared in the d.ts.
+
+var common = require('./common');
+
+var fileName = "winjs-control-options.d.ts";
+
+function typeToString(typeInfo) {
+    switch (typeInfo.type) {
+        case "enum":
+            // Enums declared in the d.ts are referred to by name. Enums which the d.ts
+            // types as strings become unions of string literals.
+            if (typeInfo.name) {
+                return typeInfo.name;
+            }
+            return typeInfo.values.map(common.quote).join(" | ");
+        case "reference":
+            var args = typeInfo.typeArguments || [];
+            return typeInfo.name + (args.length > 0 ? "<" + args.map(typeToString).join(", ") + ">" : "");
+        case "type-param":
+            return "any";
+        case "string-const":
+            return common.quote(typeInfo.value);
+        case "union":
+            return typeInfo.types.map(typeToString).join(" | ");
+        case "tuple":
+            return "[" + typeInfo.elements.map(typeToString).join(", ") + "]";
+        case "object":
+            var members = Object.keys(typeInfo.properties).sort().map(function (name) {
+                var prop = typeInfo.properties[name];
+                return name + (prop.optional ? "?" : "") + ": " + typeToString(prop.type) + ";";
+            });
+            return "{ " + members.join(" ") + " }";
+        default:
+            return typeInfo.type;
+    }
+}
+
+// The member's description from the d.ts as a doc comment.
+function docComment(typeInfo) {
+    if (!typeInfo.description) {
+        return [];
+    }
+    return ["        /**"].concat(typeInfo.description.split("\n").map(function (line) {
+        return "         * " + line.replace(/\*\//g, "*\\/");
+    }), ["         */"]);
+}
+
+function generateInterface(controlName, control) {
+    var members = control.properties;
+    var split = common.splitMembers(members);
+    var lines = ["    interface " + controlName + "Options {"];
+    split.optionProperties.forEach(function (name) {
+        lines.push.apply(lines, docComment(members[name]));
+        lines.push("        " + name + "?: " + typeToString(members[name]) + ";");
+    });
+    split.events.forEach(function (name) {
+        lines.push.apply(lines, docComment(members[name]));
+        lines.push("        " + common.eventOptionName(name) + "?: (eventInfo: " + typeToString(members[name].eventInfo) + ") => void;");
+    });
+    lines.push("    }");
+    return lines.join("\n");
+}
+
+// "WinJS.UI.SplitView" -> "WinJS.UI"
+function parentNamespace(qualifiedName) {
+    return qualifiedName.split(".").slice(0, -1).join(".");
+}
+
+// Returns a map from file name to file contents containing the single declaration file.
+// Each options interface is declared in the same module as its control.
+function generate(controls) {
+    var interfacesByNamespace = {};
+    Object.keys(controls).sort().forEach(function (controlName) {
+        var namespace = parentNamespace(controls[controlName].qualifiedName);
+        interfacesByNamespace[namespace] = interfacesByNamespace[namespace] || [];
+        interfacesByNamespace[namespace].push(generateInterface(controlName, controls[controlName]));
+    });
+    var modules = Object.keys(interfacesByNamespace).sort().map(function (namespace) {
+        return [
+            "declare module " + namespace + " {",
+            interfacesByNamespace[namespace].join("\n\n"),
+            "}"
+        ].join("\n");
+    });
+    var files = {};
+    files[fileName] = modules.join("\n\n") + "\n";
+    return files;
+}
+
+module.exports = generate;
@@ -0,0 +1,11 @@
+"use strict";
+
+// Each generator is a function which takes the output of getControlsAndProperties and
+// returns a map from file name to file contents.
+module.exports = {
+    angular: require('./angular'),
+    dts: require('./dts'),
+    knockout: require('./knockout'),
+    react: require('./react'),
+    webcomponents: require('./webcomponents')
+};
@@ -0,0 +1,86 @@
+"use strict";
+
+// Generates a Knockout binding handler for each control, used like:
+//   <div data-bind="winSplitView: { paneOpened: isPaneOpened, onAfterClose: paneClosed }">
+// Properties may be plain values or observables. They're passed to the control when it's
+// created and, because update reads every observable, writable ones are pushed to it
+// whenever they change.
+// Events are invoked with the view model as `this` and the WinJS event as the argument.
+
+var common = require('./common');
+
+function bindingName(controlName) {
+    return "win" + controlName;
+}
+
+function generateBinding(controlName, control) {
+    var members = control.properties;
+    var split = common.splitMembers(members);
+    var lines = [
+        "(function () {",
+        "    \"use strict\";",
+        "",
+        "    var optionProperties = " + JSON.stringify(split.optionProperties) + ";",
+        "    var properties = " + JSON.stringify(split.properties) + ";",
+        "    var events = " + JSON.stringify(split.events.map(function (name) {
+            return { binding: name, option: common.eventOptionName(name) };
+        })) + ";",
+        "",
+        "    ko.bindingHandlers." + bindingName(controlName) + " = {",
+        "        init: function (element, valueAccessor, allBindings, viewModel) {",
+        "            var value = valueAccessor() || {};",
+        "            var options = {};",
+        "            optionProperties.forEach(function (name) {",
+        "                if (value[name] !== undefined) {",
+        "                    options[name] = ko.unwrap(value[name]);",
+        "                }",
+        "            });",
+        "            events.forEach(function (event) {",
+        "                var handler = value[event.binding];",
+        "                if (handler) {",
+        "                    options[event.option] = function (eventObject) {",
+        "                        handler.call(viewModel, eventObject);",
+        "                    };",
+        "                }",
+        "            });",
+        "            var control = new " + control.qualifiedName + "(element, options);",
+        "            ko.utils.domNodeDisposal.addDisposeCallback(element, function () {",
+        "                if (control.dispose) {",
+        "                    control.dispose();",
+        "                }",
+        "            });",
+        "            return { controlsDescendantBindings: true };",
+        "        },",
+        "        update: function (element, valueAccessor) {",
+        "            var value = valueAccessor() || {};",
+        "            var control = element.winControl;",
+        "            properties.forEach(function (name) {",
+        "                if (value[name] !== undefined) {",
+        "                    var newValue = ko.unwrap(value[name]);",
+        "                    if (control[name] !== newValue) {",
+        "                        control[name] = newValue;",
+        "                    }",
+        "                }",
+        "            });",
+        "        }",
+        "    };",
+        "})();",
+        ""
+    ];
+    return lines.join("\n");
+}
+
+// Returns a map from file name to file contents: one script per control which registers
+// its binding handler (e.g. ko.bindingHandlers.winSplitView in win-split-view.js).
+function generate(controls) {
+    var files = {};
+    Object.keys(controls).sort().filter(function (controlName) {
+        return common.takesElement(controls[controlName]);
+    }).forEach(function (controlName) {
+        var fileName = common.hyphenate(bindingName(controlName)) + ".js";
+        files[fileName] = generateBinding(controlName, controls[controlName]);
+    });
+    return files;
+}
+
+module.exports = generate;
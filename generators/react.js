@@ -0,0 +1,138 @@
+"use strict";
+
+// Generates a React component module for each control: a class component, for React 16
+// and later, whose props are checked with the prop-types package. Properties become
+// props which are passed to the control when it's created. Writable ones are also pushed
+// to it whenever they change.
+// Enum properties are validated against their allowed values. Events become onXxx
+// callback props which receive the WinJS event object.
+
+var common = require('./common');
+
+function propType(typeInfo) {
+    switch (typeInfo.type) {
+        case "boolean":
+            return "PropTypes.bool";
+        case "number":
+            return "PropTypes.number";
+        case "string":
+            return "PropTypes.string";
+        case "enum":
+            return "PropTypes.oneOf(" + JSON.stringify(typeInfo.values) + ")";
+        case "string-const":
+            return "PropTypes.oneOf(" + JSON.stringify([typeInfo.value]) + ")";
+        case "union":
+            return "PropTypes.oneOfType([" + typeInfo.types.map(propType).join(", ") + "])";
+        case "tuple":
+            return "PropTypes.array";
+        default:
+            return "PropTypes.any";
+    }
+}
+
+function generateComponent(controlName, control) {
+    var members = control.properties;
+    var split = common.splitMembers(members);
+    var propTypes = split.optionProperties.map(function (name) {
+        return common.quote(name) + ": " + propType(members[name]);
+    }).concat(split.events.map(function (name) {
+        return common.quote(name) + ": PropTypes.func";
+    })).concat([
+        "className: PropTypes.string",
+        "style: PropTypes.object"
+    ]);
+
+    var lines = [
+        "var React = require(\"react\");",
+        "var PropTypes = require(\"prop-types\");",
+        "var WinJS = require(\"winjs\");",
+        "",
+        "var optionProperties = " + JSON.stringify(split.optionProperties) + ";",
+        "var properties = " + JSON.stringify(split.properties) + ";",
+        "var events = " + JSON.stringify(split.events.map(function (name) {
+            return { prop: name, option: common.eventOptionName(name) };
+        })) + ";",
+        "",
+        "class " + controlName + " extends React.Component {",
+        "    componentDidMount() {",
+        "        var that = this;",
+        "        var options = {};",
+        "        optionProperties.forEach(function (name) {",
+        "            if (that.props[name] !== undefined) {",
+        "                options[name] = that.props[name];",
+        "            }",
+        "        });",
+        "        events.forEach(function (event) {",
+        "            options[event.option] = function (eventObject) {",
+        "                var handler = that.props[event.prop];",
+        "                if (handler) {",
+        "                    handler(eventObject);",
+        "                }",
+        "            };",
+        "        });",
+        "        this.winControl = new " + control.qualifiedName + "(this.element, options);",
+        "    }",
+        "",
+        "    componentDidUpdate(prevProps) {",
+        "        var that = this;",
+        "        properties.forEach(function (name) {",
+        "            var value = that.props[name];",
+        "            if (value !== prevProps[name] && value !== undefined) {",
+        "                that.winControl[name] = value;",
+        "            }",
+        "        });",
+        "    }",
+        "",
+        "    componentWillUnmount() {",
+        "        if (this.winControl.dispose) {",
+        "            this.winControl.dispose();",
+        "        }",
+        "    }",
+        "",
+        "    render() {",
+        "        var that = this;",
+        "        var ref = function (element) {",
+        "            that.element = element;",
+        "        };",
+        "        return React.createElement(\"div\", { ref: ref, className: this.props.className, style: this.props.style }, this.props.children);",
+        "    }",
+        "}",
+        "",
+        controlName + ".propTypes = {",
+        propTypes.map(function (entry) {
+            return "    " + entry;
+        }).join(",\n"),
+        "};",
+        "",
+        "module.exports = " + controlName + ";",
+        ""
+    ];
+    return lines.join("\n");
+}
+
+function generateIndex(controlNames) {
+    return [
+        "module.exports = {",
+        controlNames.map(function (controlName) {
+            return "    " + controlName + ": require(" + common.quote("./" + controlName) + ")";
+        }).join(",\n"),
+        "};",
+        ""
+    ].join("\n");
+}
+
+// Returns a map from file name to file contents: one module per control plus an
+// index.js which exports all of them.
+function generate(controls) {
+    var files = {};
+    var controlNames = Object.keys(controls).sort().filter(function (controlName) {
+        return common.takesElement(controls[controlName]);
+    });
+    controlNames.forEach(function (controlName) {
+        files[controlName + ".js"] = generateComponent(controlName, controls[controlName]);
+    });
+    files["index.js"] = generateIndex(controlNames);
+    return files;
+}
+
+module.exports = generate;
@@ -0,0 +1,192 @@
+"use strict";
+
+// Generates a custom element class for each control. Properties with a builtin or enum
+// type are reflected as attributes (e.g. panePlacement <-> pane-placement) and enum
+// attributes are validated against the enum's values. All properties are also exposed
+// as element properties. Read-only ones are only passed to the control when it's
+// created and are left out when HTMLElement has a property of the same name (e.g.
+// AppBarCommand.id), which they would shadow. Each WinJS event is re-dispatched from
+// the custom element as a DOM CustomEvent of the same name (e.g. "afterclose") whose
+// detail is the WinJS event's detail.
+
+var common = require('./common');
+
+var reflectedTypes = ["boolean", "number", "string", "enum"];
+
+function elementName(controlName) {
+    return "win-" + common.hyphenate(controlName);
+}
+
+function className(controlName) {
+    return "Win" + controlName + "Element";
+}
+
+function generateElement(controlName, control) {
+    var members = control.properties;
+    var split = common.splitMembers(members);
+    var attributes = {};
+    split.properties.forEach(function (name) {
+        var typeInfo = members[name];
+        if (reflectedTypes.indexOf(typeInfo.type) >= 0) {
+            var attribute = { property: name, type: typeInfo.type };
+            if (typeInfo.type === "enum") {
+                attribute.values = typeInfo.values;
+            }
+            attributes[common.hyphenate(name)] = attribute;
+        }
+    });
+    var events = split.events.map(function (name) {
+        return { option: common.eventOptionName(name), type: common.eventTypeName(name) };
+    });
+    var name = className(controlName);
+
+    var lines = [
+        "(function () {",
+        "    \"use strict\";",
+        "",
+        "    var properties = " + JSON.stringify(split.properties) + ";",
+        "    var readonlyProperties = " + JSON.stringify(split.readonlyProperties) + ";",
+        "    var attributes = " + JSON.stringify(attributes) + ";",
+        "    var events = " + JSON.stringify(events) + ";",
+        "",
+        "    function attributeForProperty(property) {",
+        "        return Object.keys(attributes).filter(function (attribute) {",
+        "            return attributes[attribute].property === property;",
+        "        })[0];",
+        "    }",
+        "",
+        "    // Converts an attribute's string value into the property's type. Returns undefined",
+        "    // if the value isn't valid for the property.",
+        "    function parseAttribute(info, value) {",
+        "        switch (info.type) {",
+        "            case \"boolean\":",
+        "                return value !== null && value !== \"false\";",
+        "            case \"number\":",
+        "                return value === null || isNaN(+value) ? undefined : +value;",
+        "            case \"enum\":",
+        "                if (info.values.indexOf(value) === -1) {",
+        "                    console.warn(" + common.quote(elementName(controlName)) + " + \": invalid value for \" + info.property + \": \" + value + \". Expected one of: \" + info.values.join(\", \"));",
+        "                    return undefined;",
+        "                }",
+        "                return value;",
+        "            default:",
+        "                return value === null ? undefined : value;",
+        "        }",
+        "    }",
+        "",
+        "    class " + name + " extends HTMLElement {",
+        "        static get observedAttributes() {",
+        "            return Object.keys(attributes);",
+        "        }",
+        "",
+        "        connectedCallback() {",
+        "            if (this.winControl) {",
+        "                return;",
+        "            }",
+        "            var that = this;",
+        "            var host = document.createElement(\"div\");",
+        "            while (this.firstChild) {",
+        "                host.appendChild(this.firstChild);",
+        "            }",
+        "            this.appendChild(host);",
+        "            var options = this._pendingOptions || {};",
+        "            this._pendingOptions = null;",
+        "            Object.keys(attributes).forEach(function (attribute) {",
+        "                if (that.hasAttribute(attribute)) {",
+        "                    var value = parseAttribute(attributes[attribute], that.getAttribute(attribute));",
+        "                    if (value !== undefined) {",
+        "                        options[attributes[attribute].property] = value;",
+        "                    }",
+        "                }",
+        "            });",
+        "            events.forEach(function (event) {",
+        "                options[event.option] = function (eventObject) {",
+        "                    that.dispatchEvent(new CustomEvent(event.type, { detail: eventObject.detail }));",
+        "                };",
+        "            });",
+        "            this.winControl = new " + control.qualifiedName + "(host, options);",
+        "        }",
+        "",
+        "        attributeChangedCallback(attribute, oldValue, newValue) {",
+        "            if (this.winControl && oldValue !== newValue) {",
+        "                var value = parseAttribute(attributes[attribute], newValue);",
+        "                if (value !== undefined) {",
+        "                    this.winControl[attributes[attribute].property] = value;",
+        "                }",
+        "            }",
+        "        }",
+        "    }",
+        "",
+        "    properties.forEach(function (property) {",
+        "        var attribute = attributeForProperty(property);",
+        "        Object.defineProperty(" + name + ".prototype, property, {",
+        "            get: function () {",
+        "                if (this.winControl) {",
+        "                    return this.winControl[property];",
+        "                }",
+        "                return this._pendingOptions ? this._pendingOptions[property] : undefined;",
+        "            },",
+        "            set: function (value) {",
+        "                if (attribute) {",
+        "                    if (attributes[attribute].type === \"boolean\") {",
+        "                        if (value) {",
+        "                            this.setAttribute(attribute, \"\");",
+        "                        } else {",
+        "                            this.removeAttribute(attribute);",
+        "                        }",
+        "                    } else {",
+        "                        this.setAttribute(attribute, value);",
+        "                    }",
+        "                } else if (this.winControl) {",
+        "                    this.winControl[property] = value;",
+        "                } else {",
+        "                    this._pendingOptions = this._pendingOptions || {};",
+        "                    this._pendingOptions[property] = value;",
+        "                }",
+        "            },",
+        "            configurable: true",
+        "        });",
+        "    });",
+        "",
+        "    // Read-only properties can only be set before the control is created",
+        "    readonlyProperties.forEach(function (property) {",
+        "        if (property in HTMLElement.prototype) {",
+        "            return;",
+        "        }",
+        "        Object.defineProperty(" + name + ".prototype, property, {",
+        "            get: function () {",
+        "                if (this.winControl) {",
+        "                    return this.winControl[property];",
+        "                }",
+        "                return this._pendingOptions ? this._pendingOptions[property] : undefined;",
+        "            },",
+        "            set: function (value) {",
+        "                if (!this.winControl) {",
+        "                    this._pendingOptions = this._pendingOptions || {};",
+        "                    this._pendingOptions[property] = value;",
+        "                }",
+        "            },",
+        "            configurable: true",
+        "        });",
+        "    });",
+        "",
+        "    customElements.define(" + common.quote(elementName(controlName)) + ", " + name + ");",
+        "})();",
+        ""
+    ];
+    return lines.join("\n");
+}
+
+// Returns a map from file name to file contents: one script per control which defines
+// and registers its custom element (e.g. <win-split-view> in win-split-view.js).
+function generate(controls) {
+    var files = {};
+    Object.keys(controls).sort().filter(function (controlName) {
+        return common.takesElement(controls[controlName]);
+    }).forEach(function (controlName) {
+        files[elementName(controlName) + ".js"] = generateElement(controlName, controls[controlName]);
+    });
+    return files;
+}
+
+module.exports = generate;
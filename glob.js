@@ -0,0 +1,95 @@
+"use strict";
+
+// Expands the input file arguments given on the command line. Arguments without
+// wildcards are kept as they are. Patterns may use * and ? within a path segment and **
+// to match any number of directories (e.g. typings/**/*.d.ts). Hidden files and
+// directories are only matched by segments which start with a dot.
+
+var fs = require('fs');
+var path = require('path');
+
+function hasWildcards(s) {
+    return /[*?]/.test(s);
+}
+
+function segmentToRegExp(segment) {
+    var source = segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp("^" + source + "$");
+}
+
+function isDirectory(filePath) {
+    return fs.existsSync(filePath) && fs.statSync(filePath).isDirectory();
+}
+
+function isVisible(name, segment) {
+    return name[0] !== "." || segment[0] === ".";
+}
+
+// Adds to results the files under dir which match segments[i..].
+function match(dir, segments, i, results) {
+    if (i === segments.length) {
+        if (!isDirectory(dir)) {
+            results.push(dir);
+        }
+        return;
+    }
+    var segment = segments[i];
+    if (segment === "**") {
+        match(dir, segments, i + 1, results);
+        if (isDirectory(dir)) {
+            fs.readdirSync(dir).sort().forEach(function (name) {
+                if (isVisible(name, segment)) {
+                    match(path.join(dir, name), segments, i, results);
+                }
+            });
+        }
+    } else if (!hasWildcards(segment)) {
+        var next = path.join(dir, segment);
+        if (fs.existsSync(next)) {
+            match(next, segments, i + 1, results);
+        }
+    } else if (isDirectory(dir)) {
+        var regExp = segmentToRegExp(segment);
+        fs.readdirSync(dir).sort().forEach(function (name) {
+            if (isVisible(name, segment) && regExp.test(name)) {
+                match(path.join(dir, name), segments, i + 1, results);
+            }
+        });
+    }
+}
+
+function expandPattern(pattern) {
+    var segments = pattern.split(/[\\/]/);
+    var base = ".";
+    if (path.isAbsolute(pattern)) {
+        base = segments.shift() + path.sep; // "" on POSIX, the drive (e.g. "C:") on Windows
+    }
+    var results = [];
+    match(base, segments.filter(function (segment) {
+        return segment !== "" && segment !== ".";
+    }), 0, results);
+    return results;
+}
+
+// Returns the files named by the given paths and patterns, in order and without
+// duplicates. Throws if a pattern doesn't match any file.
+function expand(patterns) {
+    var files = [];
+    var seen = {};
+    patterns.forEach(function (pattern) {
+        var matches = hasWildcards(pattern) ? expandPattern(pattern) : [pattern];
+        if (matches.length === 0) {
+            throw "No files match " + pattern;
+        }
+        matches.forEach(function (file) {
+            var key = path.resolve(file);
+            if (!seen[key]) {
+                seen[key] = true;
+                files.push(file);
+            }
+        });
+    });
+    return files;
+}
+
+module.exports = expand;
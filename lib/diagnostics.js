@@ -0,0 +1,85 @@
+// Collects the errors and warnings found while converting so that a single run reports
+// all of them. A diagnostic is {severity, message, locations} where severity is 'error'
+// or 'warning' and locations are source locations (see location.js): where the problem
+// is, followed by the other declarations involved. locations may be empty.
+
+var formatLocation = require('./location').formatLocation
+
+// Returns the message followed by its locations
+function formatMessage(message, locations) {
+    return message + locations.map(function(location, i) {
+        return (i === 0 ? '\n  at ' : '\n  other declaration at ') + formatLocation(location).replace(/\n/g, '\n  ')
+    }).join('')
+}
+
+function Diagnostics() {
+    this.diagnostics = []
+}
+// The same problem may be found more than once (e.g. a base type which fails to resolve is
+// looked up again for the constructors) but is only recorded once
+Diagnostics.prototype.add = function(severity, message, locations) {
+    var diagnostic = {
+        severity: severity,
+        message: message,
+        locations: (locations || []).filter(function(location) {return location})
+    }
+    var key = JSON.stringify(diagnostic)
+    if (this.diagnostics.some(function(d) {return JSON.stringify(d) === key}))
+        return
+    this.diagnostics.push(diagnostic)
+}
+Diagnostics.prototype.error = function(message, locations) {
+    this.add('error', message, locations)
+}
+Diagnostics.prototype.warning = function(message, locations) {
+    this.add('warning', message, locations)
+}
+Diagnostics.prototype.count = function(severity) {
+    return this.diagnostics.filter(function(d) {return d.severity === severity}).length
+}
+Diagnostics.prototype.hasErrors = function() {
+    return this.count('error') > 0
+}
+
+function plural(n, word) {
+    return n + ' ' + word + (n === 1 ? '' : 's')
+}
+
+// Returns the diagnostics grouped by file, in order of position with errors before
+// warnings at the same position, followed by the number of errors and warnings.
+// Diagnostics without a location come last.
+Diagnostics.prototype.format = function() {
+    var groups = []
+    var byFile = {}
+    this.diagnostics.forEach(function(d) {
+        var file = d.locations.length > 0 ? d.locations[0].file : null
+        var key = file === null ? '' : '>' + file // keep files apart from the diagnostics without a location
+        if (!byFile.hasOwnProperty(key)) {
+            byFile[key] = {file: file, diagnostics: []}
+            groups.push(byFile[key])
+        }
+        byFile[key].diagnostics.push(d)
+    })
+    groups.sort(function(a, b) {
+        return (a.file === null) - (b.file === null)
+    })
+    var lines = []
+    groups.forEach(function(group) {
+        lines.push((group.file === null ? 'General' : group.file) + ':')
+        group.diagnostics.slice().sort(function(a, b) {
+            if (group.file === null)
+                return 0
+            return a.locations[0].line - b.locations[0].line ||
+                a.locations[0].column - b.locations[0].column ||
+                (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1)
+        }).forEach(function(d) {
+            lines.push('  ' + d.severity + ': ' + formatMessage(d.message, d.locations).replace(/\n/g, '\n  '))
+        })
+        lines.push('')
+    })
+    lines.push(plural(this.count('error'), 'error') + ', ' + plural(this.count('warning'), 'warning'))
+    return lines.join('\n')
+}
+
+module.exports = Diagnostics
+Diagnostics.formatMessage = formatMessage
@@ -0,0 +1,27 @@
+// Source locations for diagnostics. A location is {file, line, column, excerpt} where
+// line and column are 1-based and excerpt is the text of the line
+
+// input is a parsed input of tscore ({file, text, ast}) and position an offset into its text
+function getLocation(input, position) {
+    var lineAndCharacter = input.ast.lineMap.getLineAndCharacterFromPosition(position)
+    var lineStarts = input.ast.lineMap.lineStarts()
+    var line = lineAndCharacter.line()
+    var end = line + 1 < lineStarts.length ? lineStarts[line + 1] : input.text.length
+    return {
+        file: input.file,
+        line: line + 1,
+        column: lineAndCharacter.character() + 1,
+        excerpt: input.text.substring(lineStarts[line], end).replace(/\r?\n$/, '')
+    }
+}
+
+// Returns file:line:column followed by the excerpt with a caret under the column
+function formatLocation(location) {
+    var indent = location.excerpt.substring(0, location.column - 1).replace(/[^\t]/g, ' ')
+    return location.file + ':' + location.line + ':' + location.column + '\n' +
+        '    ' + location.excerpt + '\n' +
+        '    ' + indent + '^'
+}
+
+exports.getLocation = getLocation
+exports.formatLocation = formatLocation
@@ -24,10 +24,363 @@ TypeScript.parse = function(text) {
     var ast = syntaxTree.sourceUnit().accept(visitor)
 
     ast.lineMap = lineMap
+    // The parser skips what it can't parse. Only its own diagnostics are kept: the grammar
+    // checker which diagnostics() would run doesn't know the syntax added below
+    ast.syntaxDiagnostics = syntaxTree._parserDiagnostics
 
     return ast
 }
 
+// Returns the text of the documentation comments (/** ... */ or /// lines) directly
+// preceding a declaration, or null if there are none
+TypeScript.getDocComment = function(ast) {
+    var comments = ast.preComments() || []
+    var lines = []
+    for (var i = comments.length - 1; i >= 0; i--) {
+        var comment = comments[i]
+        if (comment.isDocComment()) {
+            lines.unshift(comment.getDocCommentTextValue())
+        } else if (/^\/\/\/(?!\s*<reference)/.test(comment.content)) {
+            lines.unshift(comment.content.substring(3).trim())
+        } else {
+            break
+        }
+    }
+    var text = lines.join('\n').trim()
+    return text === '' ? null : text
+}
+
+// ------------------------------------------------------------------
+//  Extensions to the TypeScript 0.9 syntax accepted by the parser
+// ------------------------------------------------------------------
+
+var ParserImpl = TypeScript.Parser.ParserImpl
+
+// Makes `Sub` inherit from the TypeScript class `Base`
+function extend(Sub, Base) {
+    Sub.prototype = Object.create(Base.prototype)
+    Sub.prototype.constructor = Sub
+}
+
+// Registers a new kind of AST node so that AST walkers know how to visit its children
+var nextNodeType = TypeScript.NodeType.Comment + 1
+function addNodeType(name, walkChildren) {
+    var nodeType = nextNodeType++
+    TypeScript.NodeType[TypeScript.NodeType[name] = nodeType] = name
+    TypeScript.getAstWalkerFactory().childrenWalkers[nodeType] = walkChildren
+    return nodeType
+}
+
+// Registers a new kind of syntax node
+var nextSyntaxKind = TypeScript.SyntaxKind.ModuleNameModuleReference + 1
+function addSyntaxKind(name) {
+    var kind = nextSyntaxKind++
+    TypeScript.SyntaxKind[TypeScript.SyntaxKind[name] = kind] = name
+    return kind
+}
+
+// Union types: A | B | C
+// Each member may also be a string literal, e.g. "left" | "right".
+
+var UnionTypeKind = addSyntaxKind('UnionType')
+
+function UnionTypeSyntax(types, barTokens) {
+    TypeScript.SyntaxNode.call(this, false)
+    this.types = types // types[i] and types[i+1] are separated by barTokens[i]
+    this.barTokens = barTokens
+}
+extend(UnionTypeSyntax, TypeScript.SyntaxNode)
+UnionTypeSyntax.prototype.accept = function(visitor) {
+    return visitor.visitUnionType(this)
+}
+UnionTypeSyntax.prototype.kind = function() {
+    return UnionTypeKind
+}
+UnionTypeSyntax.prototype.childCount = function() {
+    return this.types.length + this.barTokens.length
+}
+UnionTypeSyntax.prototype.childAt = function(slot) {
+    return slot % 2 === 0 ? this.types[slot / 2] : this.barTokens[(slot - 1) / 2]
+}
+UnionTypeSyntax.prototype.isType = function() {
+    return true
+}
+UnionTypeSyntax.prototype.isTypeScriptSpecific = function() {
+    return true
+}
+TypeScript.UnionTypeSyntax = UnionTypeSyntax
+
+var UnionTypeNodeType = addNodeType('UnionType', function(preAst, parent, walker) {
+    for (var i = 0; i < preAst.types.length; i++) {
+        preAst.types[i] = walker.walk(preAst.types[i], preAst)
+    }
+})
+
+function UnionType(types) {
+    TypeScript.AST.call(this)
+    this.types = types // array of TypeReference
+}
+extend(UnionType, TypeScript.AST)
+UnionType.prototype.nodeType = function() {
+    return UnionTypeNodeType
+}
+TypeScript.UnionType = UnionType
+
+var parseNonUnionType = ParserImpl.prototype.parseType
+function parseUnionMember(parser) {
+    if (parser.currentToken().tokenKind === TypeScript.SyntaxKind.StringLiteral)
+        return parser.eatToken(TypeScript.SyntaxKind.StringLiteral)
+    return parseNonUnionType.call(parser)
+}
+ParserImpl.prototype.parseType = function() {
+    var type = parseUnionMember(this)
+    if (this.currentToken().tokenKind !== TypeScript.SyntaxKind.BarToken)
+        return type
+    var types = [type]
+    var barTokens = []
+    while (this.currentToken().tokenKind === TypeScript.SyntaxKind.BarToken) {
+        barTokens.push(this.eatToken(TypeScript.SyntaxKind.BarToken))
+        types.push(parseUnionMember(this))
+    }
+    return new UnionTypeSyntax(types, barTokens)
+}
+
+// Type annotations go through parseType so that string literals may start a union
+ParserImpl.prototype.parseTypeAnnotation = function(allowStringLiteral) {
+    var colonToken = this.eatToken(TypeScript.SyntaxKind.ColonToken)
+    return this.factory.typeAnnotation(colonToken, this.parseType())
+}
+
+TypeScript.SyntaxTreeToAstVisitor.prototype.visitUnionType = function(node) {
+    var start = this.position
+    var types = []
+    for (var i = 0; i < node.types.length; i++) {
+        if (i > 0)
+            this.movePast(node.barTokens[i - 1])
+        types.push(this.visitType(node.types[i]))
+    }
+    var unionType = new UnionType(types)
+    this.setSpan(unionType, start, node)
+    var result = new TypeScript.TypeReference(unionType, 0)
+    this.copySpan(unionType, result)
+    return result
+}
+
+// Tuple types: [A, B, C]
+
+var TupleTypeKind = addSyntaxKind('TupleType')
+
+function TupleTypeSyntax(openBracketToken, types, commaTokens, closeBracketToken) {
+    TypeScript.SyntaxNode.call(this, false)
+    this.openBracketToken = openBracketToken
+    this.types = types // types[i] and types[i+1] are separated by commaTokens[i]
+    this.commaTokens = commaTokens
+    this.closeBracketToken = closeBracketToken
+}
+extend(TupleTypeSyntax, TypeScript.SyntaxNode)
+TupleTypeSyntax.prototype.accept = function(visitor) {
+    return visitor.visitTupleType(this)
+}
+TupleTypeSyntax.prototype.kind = function() {
+    return TupleTypeKind
+}
+TupleTypeSyntax.prototype.childCount = function() {
+    return this.types.length + this.commaTokens.length + 2
+}
+TupleTypeSyntax.prototype.childAt = function(slot) {
+    if (slot === 0)
+        return this.openBracketToken
+    if (slot === this.childCount() - 1)
+        return this.closeBracketToken
+    slot--
+    return slot % 2 === 0 ? this.types[slot / 2] : this.commaTokens[(slot - 1) / 2]
+}
+TupleTypeSyntax.prototype.isType = function() {
+    return true
+}
+TupleTypeSyntax.prototype.isTypeScriptSpecific = function() {
+    return true
+}
+TypeScript.TupleTypeSyntax = TupleTypeSyntax
+
+var TupleTypeNodeType = addNodeType('TupleType', function(preAst, parent, walker) {
+    for (var i = 0; i < preAst.types.length; i++) {
+        preAst.types[i] = walker.walk(preAst.types[i], preAst)
+    }
+})
+
+function TupleType(types) {
+    TypeScript.AST.call(this)
+    this.types = types // array of TypeReference
+}
+extend(TupleType, TypeScript.AST)
+TupleType.prototype.nodeType = function() {
+    return TupleTypeNodeType
+}
+TypeScript.TupleType = TupleType
+
+var isType = ParserImpl.prototype.isType
+ParserImpl.prototype.isType = function() {
+    return this.currentToken().tokenKind === TypeScript.SyntaxKind.OpenBracketToken || isType.call(this)
+}
+var parseNonTupleType = ParserImpl.prototype.parseNonArrayType
+ParserImpl.prototype.parseNonArrayType = function() {
+    if (this.currentToken().tokenKind !== TypeScript.SyntaxKind.OpenBracketToken)
+        return parseNonTupleType.call(this)
+    var openBracketToken = this.eatToken(TypeScript.SyntaxKind.OpenBracketToken)
+    var types = [this.parseType()]
+    var commaTokens = []
+    while (this.currentToken().tokenKind === TypeScript.SyntaxKind.CommaToken) {
+        commaTokens.push(this.eatToken(TypeScript.SyntaxKind.CommaToken))
+        types.push(this.parseType())
+    }
+    var closeBracketToken = this.eatToken(TypeScript.SyntaxKind.CloseBracketToken)
+    return new TupleTypeSyntax(openBracketToken, types, commaTokens, closeBracketToken)
+}
+
+TypeScript.SyntaxTreeToAstVisitor.prototype.visitTupleType = function(node) {
+    var start = this.position
+    this.movePast(node.openBracketToken)
+    var types = []
+    for (var i = 0; i < node.types.length; i++) {
+        if (i > 0)
+            this.movePast(node.commaTokens[i - 1])
+        types.push(this.visitType(node.types[i]))
+    }
+    this.movePast(node.closeBracketToken)
+    var tupleType = new TupleType(types)
+    this.setSpan(tupleType, start, node)
+    var result = new TypeScript.TypeReference(tupleType, 0)
+    this.copySpan(tupleType, result)
+    return result
+}
+
+// Type aliases: type Foo<T> = Type;
+// `type` is not a keyword in TypeScript 0.9, so it is recognized as an identifier
+// followed by the alias name and either `=` or a type parameter list.
+
+var TypeAliasDeclarationKind = addSyntaxKind('TypeAliasDeclaration')
+
+function TypeAliasDeclarationSyntax(modifiers, typeKeyword, identifier, typeParameterList, equalsToken, type, semicolonToken) {
+    TypeScript.SyntaxNode.call(this, false)
+    this.modifiers = modifiers
+    this.typeKeyword = typeKeyword
+    this.identifier = identifier
+    this.typeParameterList = typeParameterList
+    this.equalsToken = equalsToken
+    this.type = type
+    this.semicolonToken = semicolonToken
+}
+extend(TypeAliasDeclarationSyntax, TypeScript.SyntaxNode)
+TypeAliasDeclarationSyntax.prototype.accept = function(visitor) {
+    return visitor.visitTypeAliasDeclaration(this)
+}
+TypeAliasDeclarationSyntax.prototype.kind = function() {
+    return TypeAliasDeclarationKind
+}
+TypeAliasDeclarationSyntax.prototype.childCount = function() {
+    return 7
+}
+TypeAliasDeclarationSyntax.prototype.childAt = function(slot) {
+    switch (slot) {
+        case 0: return this.modifiers
+        case 1: return this.typeKeyword
+        case 2: return this.identifier
+        case 3: return this.typeParameterList
+        case 4: return this.equalsToken
+        case 5: return this.type
+        case 6: return this.semicolonToken
+        default: throw TypeScript.Errors.invalidOperation()
+    }
+}
+TypeAliasDeclarationSyntax.prototype.isModuleElement = function() {
+    return true
+}
+TypeAliasDeclarationSyntax.prototype.isTypeScriptSpecific = function() {
+    return true
+}
+TypeScript.TypeAliasDeclarationSyntax = TypeAliasDeclarationSyntax
+
+var TypeAliasDeclarationNodeType = addNodeType('TypeAliasDeclaration', function(preAst, parent, walker) {
+    preAst.name = walker.walk(preAst.name, preAst)
+    if (preAst.typeParameters)
+        preAst.typeParameters = walker.walk(preAst.typeParameters, preAst)
+    preAst.type = walker.walk(preAst.type, preAst)
+})
+
+function TypeAliasDeclaration(name, typeParameters, type) {
+    TypeScript.AST.call(this)
+    this.name = name // Identifier
+    this.typeParameters = typeParameters // ASTList of TypeParameter, or null
+    this.type = type // TypeReference
+}
+extend(TypeAliasDeclaration, TypeScript.AST)
+TypeAliasDeclaration.prototype.nodeType = function() {
+    return TypeAliasDeclarationNodeType
+}
+TypeScript.TypeAliasDeclaration = TypeAliasDeclaration
+
+ParserImpl.prototype.isTypeAliasDeclaration = function() {
+    var index = this.modifierCount()
+    var token = this.peekToken(index)
+    if (token.tokenKind !== TypeScript.SyntaxKind.IdentifierName || token.valueText() !== 'type')
+        return false
+    if (!this.isIdentifier(this.peekToken(index + 1)))
+        return false
+    var next = this.peekToken(index + 2).tokenKind
+    return next === TypeScript.SyntaxKind.EqualsToken || next === TypeScript.SyntaxKind.LessThanToken
+}
+ParserImpl.prototype.parseTypeAliasDeclaration = function() {
+    var modifiers = this.parseModifiers()
+    var typeKeyword = this.eatToken(TypeScript.SyntaxKind.IdentifierName)
+    var identifier = this.eatIdentifierToken()
+    var typeParameterList = this.parseOptionalTypeParameterList(false)
+    var equalsToken = this.eatToken(TypeScript.SyntaxKind.EqualsToken)
+    var type = this.parseType()
+    var semicolonToken = this.eatExplicitOrAutomaticSemicolon(false)
+    return new TypeAliasDeclarationSyntax(modifiers, typeKeyword, identifier, typeParameterList, equalsToken, type, semicolonToken)
+}
+
+var isModuleElement = ParserImpl.prototype.isModuleElement
+ParserImpl.prototype.isModuleElement = function(inErrorRecovery) {
+    return this.isTypeAliasDeclaration() || isModuleElement.call(this, inErrorRecovery)
+}
+var parseModuleElement = ParserImpl.prototype.parseModuleElement
+ParserImpl.prototype.parseModuleElement = function() {
+    if (this.isTypeAliasDeclaration())
+        return this.parseTypeAliasDeclaration()
+    return parseModuleElement.call(this)
+}
+
+TypeScript.SyntaxTreeToAstVisitor.prototype.visitTypeAliasDeclaration = function(node) {
+    var start = this.position
+    this.moveTo(node, node.identifier)
+    var name = this.identifierFromToken(node.identifier, false)
+    this.movePast(node.identifier)
+    var typeParameters = node.typeParameterList === null ? null : node.typeParameterList.accept(this)
+    this.movePast(node.equalsToken)
+    var type = this.visitType(node.type)
+    this.movePast(node.semicolonToken)
+    var result = new TypeAliasDeclaration(name, typeParameters, type)
+    this.setCommentsAndSpan(result, start, node)
+    return result
+}
+
+// The polymorphic this type: sort(): this;
+// It is parsed as an identifier named `this`, which tscore resolves to the enclosing class
+// or interface.
+
+var isTypeWithoutThis = ParserImpl.prototype.isType
+ParserImpl.prototype.isType = function() {
+    return this.currentToken().tokenKind === TypeScript.SyntaxKind.ThisKeyword || isTypeWithoutThis.call(this)
+}
+var parseNonThisType = ParserImpl.prototype.parseNonArrayType
+ParserImpl.prototype.parseNonArrayType = function() {
+    if (this.currentToken().tokenKind !== TypeScript.SyntaxKind.ThisKeyword)
+        return parseNonThisType.call(this)
+    return TypeScript.Syntax.convertToIdentifierName(this.eatToken(TypeScript.SyntaxKind.ThisKeyword))
+}
+
 if (require.main === module) {
     var fs = require('fs')
     var text = fs.readFileSync(process.argv[2], 'utf8')
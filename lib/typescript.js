@@ -25108,6 +25108,9 @@ var TypeScript;
         }
         Parser.parse = parse;
 
+        // Exported so that lib/ts.js can extend the parser
+        Parser.ParserImpl = ParserImpl;
+
         function incrementalParse(oldSyntaxTree, textChangeRange, newText) {
             if (textChangeRange.isUnchanged()) {
                 return oldSyntaxTree;
@@ -5,6 +5,15 @@
 var fs = require('fs');
 var path = require('path');
 var tscore = require('./tscore');
+var capitalization = require('./capitalization');
+var loadConfig = require('./config');
+var diff = require('./diff');
+var emitters = require('./emitters');
+var generators = require('./generators');
+var Diagnostics = require('./lib/diagnostics');
+var expandFiles = require('./glob');
+var loadBaseline = require('./baseline');
+var watchFiles = require('./watch');
 
 function startsWith(s, prefix) {
     return s.substring(0, prefix.length) === prefix;
@@ -15,8 +24,6 @@ function isFromOrigin(origin, obj) {
 }
 
 // Types
-//   NYI:
-//     - string-const
 
 function isBuiltin(obj) {
     return ["number", "string", "boolean", "void", "any"].indexOf(obj.type) >= 0;
@@ -29,6 +36,9 @@ var isObject = isType.bind(this, "object");
 var isReference = isType.bind(this, "reference");
 var isEnum = isType.bind(this, "enum");
 var isTypeParam = isType.bind(this, "type-param");
+var isUnion = isType.bind(this, "union");
+var isTuple = isType.bind(this, "tuple");
+var isStringConst = isType.bind(this, "string-const");
 
 // Kinds
 function isKind(kind, obj) {
@@ -51,84 +61,63 @@ function isEvent(propName) {
     return startsWith(propName, "on");
 }
 
-var eventNameCapitalization = {
-    onaccessibilityannotationcomplete: "onAccessibilityAnnotationComplete",
-    onafterclose: "onAfterClose",
-    onafterhide: "onAfterHide",
-    onafteropen: "onAfterOpen",
-    onaftershow: "onAfterShow",
-    onbeforeclose: "onBeforeClose",
-    onbeforehide: "onBeforeHide",
-    onbeforeopen: "onBeforeOpen",
-    onbeforeshow: "onBeforeShow",
-    oncancel: "onCancel",
-    onchange: "onChange",
-    onchildrenprocessed: "onChildrenProcessed",
-    onclick: "onClick",
-    onclosed: "onClosed",
-    oncontentanimating: "onContentAnimating",
-    ondatasourcecountchanged: "onDataSourceCountChanged",
-    onfootervisibilitychanged: "onFooterVisibilityChanged",
-    ongroupheaderinvoked: "onGroupHeaderInvoked",
-    onheaderinvoked: "onHeaderInvoked",
-    onheadervisibilitychanged: "onHeaderVisibilityChanged",
-    oninvoked: "onInvoked",
-    onitemanimationend: "onItemAnimationEnd",
-    onitemanimationstart: "onItemAnimationStart",
-    onitemdragbetween: "onItemDragBetween",
-    onitemdragchanged: "onItemDragChanged",
-    onitemdragdrop: "onItemDragDrop",
-    onitemdragend: "onItemDragEnd",
-    onitemdragenter: "onItemDragEnter",
-    onitemdragleave: "onItemDragLeave",
-    onitemdragstart: "onItemDragStart",
-    oniteminvoked: "onItemInvoked",
-    onkeyboardnavigating: "onKeyboardNavigating",
-    onloadingstatechanged: "onLoadingStateChanged",
-    onopened: "onOpened",
-    onpagecompleted: "onPageCompleted",
-    onpageselected: "onPageSelected",
-    onpagevisibilitychanged: "onPageVisibilityChanged",
-    onpreviewchange: "onPreviewChange",
-    onquerychanged: "onQueryChanged",
-    onquerysubmitted: "onQuerySubmitted",
-    onreceivingfocusonkeyboardinput: "onReceivingFocusOnKeyboardInput",
-    onresultsuggestionchosen: "onResultSuggestionChosen",
-    onresultsuggestionschosen: "onResultSuggestionsChosen",
-    onselectionchanged: "onSelectionChanged",
-    onselectionchanging: "onSelectionChanging",
-    onsplittoggle: "onSplitToggle",
-    onsuggestionsrequested: "onSuggestionsRequested",
-    onzoomchanged: "onZoomChanged"
-};
+function isWithinNamespace(name, namespace) {
+    return startsWith(name, namespace + ".");
+}
+
+function keepNamespace(config, name, obj) {
+    if (!isClass(obj)) {
+        return false;
+    }
+    if (config.extraControls.indexOf(name) !== -1) {
+        return true;
+    }
+    return config.rootNamespaces.some(isWithinNamespace.bind(this, name)) &&
+        config.ignoredClasses.indexOf(name) === -1;
+}
 
-var namespacesToIgnore = [
-    "WinJS.UI.DOMEventMixin",
-    "WinJS.UI.HtmlControl",
-    "WinJS.UI.Layout",
-    "WinJS.UI.MediaElementAdapter",
-    "WinJS.UI.MediaPlayer",
-    "WinJS.UI.Repeater",
-    "WinJS.UI.SettingsFlyout",
-    "WinJS.UI.StorageDataSource",
-    "WinJS.UI.TabContainer",
-    "WinJS.UI.ViewBox",
-    "WinJS.UI.VirtualizedDataSource"
-];
-function keepNamespace(name, obj) {
-    return isClass(obj) && startsWith(name, "WinJS.UI.") &&
-        namespacesToIgnore.indexOf(name) === -1;
-}
-
-var eventTypeInfo = {
-    name: "Function",
-    type: "reference",
-    typeArguments: []
+var anyTypeInfo = {
+    type: "any"
 };
 
+// Events are declared either as methods taking the event object, for example
+// onafterclose(eventInfo: Event): void, or as plain Function-typed properties. The
+// result records the type of the event object handed to handlers (any when the d.ts
+// doesn't say) and, when that type declares a detail property (e.g. CustomEvent or an
+// interface extending it), the type of event.detail. The type arguments of a generic
+// event object type are substituted in the type of detail.
+function getEventTypeInfo(env, p) {
+    var eventInfo = anyTypeInfo;
+    if (isFunction(p)) {
+        var call = p.calls[0];
+        if (call.parameters.length > 0) {
+            eventInfo = getTypeInfo(call.parameters[0].type);
+        }
+    }
+    var detail = null;
+    if (isReference(eventInfo) && env[eventInfo.name]) {
+        var detailProp = env[eventInfo.name].object.properties.detail;
+        if (detailProp) {
+            var typeArgs = {};
+            env[eventInfo.name].typeParameters.forEach(function (name, i) {
+                if (i < eventInfo.typeArguments.length) {
+                    typeArgs[name] = eventInfo.typeArguments[i];
+                }
+            });
+            detail = getTypeInfo(detailProp.type, typeArgs);
+        }
+    }
+    return {
+        type: "event",
+        eventInfo: eventInfo,
+        detail: detail
+    };
+}
+
 function getEnumTypeInfo(enums, name) {
     return {
         type: "enum",
+        name: name,
         values: enums[name].map(function (value) {
             var parts = value.split(".");
             return parts[parts.length - 1];
@@ -144,155 +133,613 @@ function getEnumTypeInfo(enums, name) {
 // property, uses this convention to extract the enum values for that property. If
 // the property doesn't follow the convention, null is returned.
 function getStringBasedEnumTypeInfo(env, namespace, propName) {
+    var theClass = getStaticSide(env, namespace);
+    if (theClass) {
+        var name = propName[0].toUpperCase() + propName.substring(1);
+        var enumDef = theClass.properties[name];
+        if (enumDef) {
+            return {
+                type: "enum",
+                values: Object.keys(enumDef.type.properties)
+            };
+        }
+    }
+    return null;
+}
+
+// The static side of the class with the given qualified name: its static members and
+// constructor calls. Returns null if the class can't be found.
+function getStaticSide(env, namespace) {
     var parts = namespace.split(".");
-    if (startsWith(namespace, "WinJS.UI.") && parts.length === 3) {
-        var controlName = parts[parts.length - 1];
-        var theClass = env["module:WinJS.UI"].object.properties[controlName];
-        if (theClass) {
-            var name = propName[0].toUpperCase() + propName.substring(1);
-            var enumDef = theClass.type.properties[name];
-            if (enumDef) {
-                return {
-                    type: "enum",
-                    values: Object.keys(enumDef.type.properties)
+    var parentModule = env["module:" + parts.slice(0, -1).join(".")];
+    var theClass = parentModule && parentModule.object.properties[parts[parts.length - 1]];
+    return theClass ? theClass.type : null;
+}
+
+function isElementType(typeInfo) {
+    return isReference(typeInfo) && /Element$/.test(typeInfo.name);
+}
+
+// Converts a type from tscore to the typeInfo shape of the output. Object types keep only
+// their properties and call signatures: tscore's metadata (doc comments, kind and the
+// path of the file which declares them), brands and indexers are left out so that the
+// output doesn't depend on where and how the tool is run.
+// typeArgs: map from type parameter name to the typeInfo to substitute for it, if any.
+function getTypeInfo(type, typeArgs) {
+    typeArgs = typeArgs || {};
+    function convert(t) {
+        return getTypeInfo(t, typeArgs);
+    }
+    switch (type.type) {
+        case "type-param":
+            return typeArgs.hasOwnProperty(type.name) ? typeArgs[type.name] : type;
+        case "reference":
+            return { type: "reference", name: type.name, typeArguments: type.typeArguments.map(convert) };
+        case "union":
+            return { type: "union", types: type.types.map(convert) };
+        case "tuple":
+            return { type: "tuple", elements: type.elements.map(convert) };
+        case "object":
+            var properties = {};
+            Object.keys(type.properties).forEach(function (name) {
+                properties[name] = {
+                    optional: !!type.properties[name].optional,
+                    type: convert(type.properties[name].type)
                 };
-            }
+            });
+            return {
+                type: "object",
+                properties: properties,
+                calls: type.calls.map(function (call) {
+                    return getCallInfo(call, typeArgs);
+                })
+            };
+        default:
+            return type; // builtins, enums and string literals
+    }
+}
+
+function getParameterInfo(param, typeArgs) {
+    return {
+        name: param.name,
+        optional: !!param.optional,
+        type: getStringLiteralEnumTypeInfo(param.type) || getTypeInfo(param.type, typeArgs)
+    };
+}
+
+// Describes a call signature: its parameters, whether its last parameter is variadic and
+// its return type. Construct signatures also have new: true.
+function getCallInfo(call, typeArgs) {
+    var info = {
+        parameters: call.parameters.map(function (param) {
+            return getParameterInfo(param, typeArgs);
+        }),
+        variadic: !!call.variadic,
+        returnType: getTypeInfo(call.returnType, typeArgs)
+    };
+    if (call.new) {
+        info.new = true;
+    }
+    return info;
+}
+
+// Describes a control's constructor:
+//   {
+//     element: { type: typeInfo, optional: true }, // the host element, null if none is taken
+//     options: true, // whether an options bag is accepted
+//     otherOverloads: [{ parameters: [...], variadic: false }]
+//   }
+// The overload which takes the host element as its first parameter is the one described.
+// Classes without a declared constructor have a single, implicit, parameterless one.
+function getConstructorInfo(env, namespace) {
+    var theClass = getStaticSide(env, namespace);
+    var overloads = (theClass ? theClass.calls : []).filter(function (call) {
+        return call.new;
+    }).map(function (call) {
+        return {
+            parameters: call.parameters.map(function (param) {
+                return getParameterInfo(param);
+            }),
+            variadic: !!call.variadic
+        };
+    });
+    var main = overloads.filter(function (overload) {
+        return overload.parameters.length > 0 && isElementType(overload.parameters[0].type);
+    })[0] || overloads[0];
+    if (!main) {
+        return { element: null, options: false, otherOverloads: [] };
+    }
+    var element = main.parameters.length > 0 && isElementType(main.parameters[0].type) ? main.parameters[0] : null;
+    return {
+        element: element && { type: element.type, optional: element.optional },
+        options: main.parameters.some(function (param) {
+            return param.name === "options";
+        }),
+        otherOverloads: overloads.filter(function (overload) {
+            return overload !== main;
+        })
+    };
+}
+
+// String literal types ("left" or "left" | "right") are described with the same enum
+// shape as getEnumTypeInfo so that wrappers can treat them like the enums declared in
+// the d.ts. Returns null for any other type.
+function getStringLiteralEnumTypeInfo(typeInfo) {
+    var literals = isUnion(typeInfo) ? typeInfo.types : [typeInfo];
+    if (!literals.every(isStringConst)) {
+        return null;
+    }
+    return {
+        type: "enum",
+        values: literals.map(function (literal) {
+            return literal.value;
+        })
+    };
+}
+
+function isStringLiteralEnum(typeInfo) {
+    return !!typeInfo && isEnum(typeInfo) && !typeInfo.name;
+}
+
+// The documentation comment of a member. Members declared as methods, such as events
+// (onafterclose(eventInfo: CustomEvent): void), carry it on their call signature.
+function getDescription(prop) {
+    if (prop.meta.doc) {
+        return prop.meta.doc;
+    }
+    var calls = prop.type.calls || [];
+    for (var i = 0; i < calls.length; i++) {
+        if (calls[i].meta.doc) {
+            return calls[i].meta.doc;
         }
     }
     return null;
 }
 
-function getControlsAndProperties(env, enums) {
+// WinJS documents read-only properties with "Gets ..." and writable properties with
+// "Gets or sets ...", "Gets/Sets ..." or, occasionally, "Gets or appends ...".
+var getterWordingPattern = /\bgets?\b/i;
+var setterWordingPattern = /\b(sets?|appends?)\b/i;
+
+// Whether a property is read-only: the override in the configuration if there is one,
+// otherwise whether the sentence of its doc comment which mentions getting the value
+// doesn't also mention setting it. Properties which aren't documented are assumed to be
+// writable. The declarations themselves can't tell: TypeScript 0.9 rejects accessors
+// without a body, so a d.ts has no getter-only properties.
+function isReadonly(config, namespace, propName, description) {
+    var overrides = config.readonlyOverrides[namespace] || {};
+    if (overrides.hasOwnProperty(propName)) {
+        return !!overrides[propName];
+    }
+    var match = description && getterWordingPattern.exec(description);
+    if (!match) {
+        return false;
+    }
+    var sentence = description.substring(match.index).split(/\.(\s|$)/)[0];
+    return !setterWordingPattern.test(sentence);
+}
+
+// Returns a copy of typeInfo with the given description and readonly flag, or typeInfo
+// itself when there's neither.
+function withDescription(typeInfo, description, readonly) {
+    if (!description && !readonly) {
+        return typeInfo;
+    }
+    var result = {};
+    Object.keys(typeInfo).forEach(function (key) {
+        result[key] = typeInfo[key];
+    });
+    if (description) {
+        result.description = description;
+    }
+    if (readonly) {
+        result.readonly = true;
+    }
+    return result;
+}
+
+// Describes each overload of a method: its parameters (name, optionality and type), whether
+// its last parameter is variadic (a rest parameter) and its return type. Overloads which
+// only differ in the string literal types of their parameters, such as a setter overloaded
+// on its value (setPlacement(value: "top") and setPlacement(value: "bottom")), are merged
+// into one overload whose parameter is an enum of the literals.
+function getMethodInfo(obj) {
+    var overloads = [];
+    var overloadsByShape = {};
+    obj.calls.filter(function (call) {
+        return !call.new;
+    }).forEach(function (call) {
+        var overload = getCallInfo(call);
+        var shape = JSON.stringify(overload, function (key, value) {
+            return isStringLiteralEnum(value) ? "enum" : value;
+        });
+        var existing = overloadsByShape[shape];
+        if (existing) {
+            existing.parameters.forEach(function (param, i) {
+                if (isStringLiteralEnum(param.type)) {
+                    overload.parameters[i].type.values.forEach(function (value) {
+                        if (param.type.values.indexOf(value) === -1) {
+                            param.type.values.push(value);
+                        }
+                    });
+                }
+            });
+        } else {
+            overloadsByShape[shape] = overload;
+            overloads.push(overload);
+        }
+    });
+    return overloads;
+}
+
+// Returns a map from control name to:
+//   {
+//     qualifiedName: "WinJS.UI.SplitView",
+//     sourceFile: "typings/winjs.d.ts", // the input file which declares the control
+//     constructor: { element, options, otherOverloads }, // see getConstructorInfo
+//     properties: { propName: typeInfo }, // includes events (e.g. onAfterClose)
+//     methods: { methodName: [overload] }
+//   }
+// The typeInfo of a property or event has a description when it's documented in the d.ts
+// and the typeInfo of a read-only property has readonly: true.
+// options.words is the word list used to capitalize event names, options.config is
+// the project configuration (see config.js), options.locations are the locations of
+// the declarations, from tscore, and options.diagnostics is the Diagnostics to record
+// problems in. Members with problems are left out.
+function getControlsAndProperties(env, enums, options) {
     var missingEvents = {};
-    function getProperties(namespace, obj) {
+    var ambiguousEvents = {};
+    // Returns where a member is declared, if known
+    function getMemberLocation(namespace, memberName) {
+        return options.locations[namespace] && options.locations[namespace].members[memberName];
+    }
+
+    function capitalizeEventName(namespace, eventName) {
+        if (options.config.eventNames.hasOwnProperty(eventName)) {
+            return options.config.eventNames[eventName];
+        }
+        var result = capitalization.capitalizeEventName(eventName, options.words);
+        if (result && result.alternatives.length > 0 && !ambiguousEvents[eventName]) {
+            ambiguousEvents[eventName] = { result: result, location: getMemberLocation(namespace, eventName) };
+        }
+        return result && result.name;
+    }
+
+    function getMembers(namespace, obj) {
         var props = {};
-        Object.keys(obj.properties).forEach(function (propName) {
+        var methods = {};
+        var excludedMembers = options.config.excludedMembers[namespace] || [];
+        Object.keys(obj.properties).filter(function (propName) {
+            return excludedMembers.indexOf(propName) === -1;
+        }).forEach(function (propName) {
             var p = obj.properties[propName].type;
-            if (isBuiltin(p) || isReference(p) || isEnum(p) || isFunction(p)) {
+            var description = getDescription(obj.properties[propName]);
+            var readonly = isReadonly(options.config, namespace, propName, description);
+            if (isBuiltin(p) || isReference(p) || isEnum(p) || isStringConst(p) || isUnion(p) || isTuple(p) || isFunction(p)) {
                 if (isEvent(propName)) {
-                    var capitalizedEventName = eventNameCapitalization[propName];
+                    var capitalizedEventName = capitalizeEventName(namespace, propName);
                     if (capitalizedEventName) {
-                        props[capitalizedEventName] = eventTypeInfo;
+                        props[capitalizedEventName] = withDescription(getEventTypeInfo(env, p), description);
                     } else {
                         missingEvents[propName] = true;
                     }
                 } else if (isEnum(p)) {
-                    props[propName] = getEnumTypeInfo(enums, p.name);
+                    props[propName] = withDescription(getEnumTypeInfo(enums, p.name), description, readonly);
                 } else if (p.type === "string") {
-                    props[propName] = getStringBasedEnumTypeInfo(env, namespace, propName) || p;
-                } else if (!isFunction(p)) {
-                    // All functions, other than events, are ignored.
-                    props[propName] = p;
+                    props[propName] = withDescription(getStringBasedEnumTypeInfo(env, namespace, propName) || p, description, readonly);
+                } else if (isFunction(p)) {
+                    methods[propName] = getMethodInfo(p);
+                } else if (isStringConst(p) || isUnion(p)) {
+                    props[propName] = withDescription(getStringLiteralEnumTypeInfo(p) || getTypeInfo(p), description, readonly);
+                } else {
+                    props[propName] = withDescription(getTypeInfo(p), description, readonly);
                 }
             } else {
-                debugger;
-                throw "getControlsAndProperties getProperties NYI: " + JSON.stringify(p, null, 2);
+                options.diagnostics.error(namespace + "." + propName + " has a type which isn't supported yet and is left out: " +
+                    JSON.stringify(p), [getMemberLocation(namespace, propName)]);
             }
         });
-        return props;
+        return {
+            qualifiedName: namespace,
+            sourceFile: obj.meta.origin,
+            constructor: getConstructorInfo(env, namespace),
+            properties: props,
+            methods: methods
+        };
     }
 
     var out = {};
     for (var namespace in env) {
         var obj = env[namespace].object;
-        if (keepNamespace(namespace, obj)) {
+        if (keepNamespace(options.config, namespace, obj)) {
             var parts = namespace.split(".");
             var lastPart = parts[parts.length - 1];
-            out[lastPart] = getProperties(namespace, obj);
+            out[lastPart] = getMembers(namespace, obj);
         }
     }
 
+    Object.keys(ambiguousEvents).sort().forEach(function (eventName) {
+        var result = ambiguousEvents[eventName].result;
+        options.diagnostics.warning("Ambiguous capitalization for " + eventName + ". Using " + result.name +
+            " rather than " + result.alternatives.join(" or ") + ". Add it to an event name override file to pick another.",
+            [ambiguousEvents[eventName].location]);
+    });
+
     if (Object.keys(missingEvents).length > 0) {
-        console.log("Unknown capitalization for the following events. Please update eventNameCapitalization to include these events:");
         var len = Object.keys(missingEvents).length;
-        Object.keys(missingEvents).sort().forEach(function (eventName, i) {
-            console.log('  ' + eventName + ': "' + eventName + '"' + (i + 1 === len ? "" : ","));
-        });
-        throw "Unknown capitalization for some events.";
+        options.diagnostics.error("Unknown capitalization for the following events, which are left out. " +
+            "Please add these events to an event name override file (see --event-names):\n" +
+            Object.keys(missingEvents).sort().map(function (eventName, i) {
+                return '  "' + eventName + '": "' + eventName + '"' + (i + 1 === len ? "" : ",");
+            }).join("\n"));
     }
 
     return out;
 }
 
-function processFile(filePath) {
-    var text = fs.readFileSync(filePath, 'utf8').toString();
-    var result = tscore([
-        {
-            file: ">lib.d.ts",
-            text: fs.readFileSync(__dirname + '/lib/lib.d.ts', 'utf8')
-        },
-        { file: filePath, text: text }
-    ]);
+// Adds to names the names of the types referenced by typeInfo, at any depth.
+function addReferencedNames(typeInfo, names) {
+    if (Array.isArray(typeInfo)) {
+        typeInfo.forEach(function (t) {
+            addReferencedNames(t, names);
+        });
+    } else if (typeInfo && typeof typeInfo === "object") {
+        if (typeInfo.type === "reference" && names.indexOf(typeInfo.name) === -1) {
+            names.push(typeInfo.name);
+        }
+        Object.keys(typeInfo).forEach(function (key) {
+            addReferencedNames(typeInfo[key], names);
+        });
+    }
+}
 
-    return getControlsAndProperties(result.env, result.enums);
+// Returns a map from type name to the members of the controls which reference it
+// (e.g. "SplitView.paneSize", "SplitView.setSide()" or "SplitView constructor").
+function getTypeUsages(controls) {
+    var usages = {};
+    function addUsages(typeInfo, memberName) {
+        var names = [];
+        addReferencedNames(typeInfo, names);
+        names.forEach(function (name) {
+            usages[name] = usages[name] || [];
+            usages[name].push(memberName);
+        });
+    }
+    Object.keys(controls).sort().forEach(function (controlName) {
+        var control = controls[controlName];
+        addUsages(control.constructor, controlName + " constructor");
+        Object.keys(control.properties).sort().forEach(function (propName) {
+            addUsages(control.properties[propName], controlName + "." + propName);
+        });
+        Object.keys(control.methods).sort().forEach(function (methodName) {
+            addUsages(control.methods[methodName], controlName + "." + methodName + "()");
+        });
+    });
+    return usages;
 }
 
-function indent(n) {
-    var s = "";
-    while (n-- > 0) {
-        s += "    ";
+// Records an error for each type reference which tscore couldn't resolve (e.g. because
+// of a typo or a missing d.ts).
+// unresolved: map from type name to the modules it was looked up in and the location of
+// its first reference, from tscore.
+function reportUnresolvedReferences(unresolved, controls, diagnostics) {
+    var usages = getTypeUsages(controls);
+    Object.keys(unresolved).sort().forEach(function (name) {
+        var scopes = unresolved[name].scopes.map(function (scope) {
+            return scope || "the global scope";
+        });
+        diagnostics.error("Unresolved type reference " + name + " (looked up in " + scopes.join(", ") + "), used by " +
+            (usages[name] ? usages[name].join(", ") : "no control"), [unresolved[name].location]);
+    });
+}
+
+// Converts the given d.ts files together so that declarations may be merged across
+// files.
+// options.config: the project configuration (see config.js).
+// options.targets, options.libFile: select the baseline of built-in APIs (see baseline.js).
+// options.strict: whether type references which can't be resolved are errors.
+// options.diagnostics: the Diagnostics to record problems in.
+function processFiles(filePaths, options) {
+    var inputs = filePaths.map(function (filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw "Cannot find " + filePath;
+        }
+        return { file: filePath, text: fs.readFileSync(filePath, 'utf8').toString() };
+    });
+    var result = tscore(loadBaseline(options).concat(inputs), options.diagnostics);
+
+    var controls = getControlsAndProperties(result.env, result.enums, {
+        words: capitalization.buildWordList(inputs.map(function (input) {
+            return input.text;
+        })),
+        config: options.config,
+        locations: result.locations,
+        diagnostics: options.diagnostics
+    });
+    if (options.strict) {
+        reportUnresolvedReferences(result.unresolved, controls, options.diagnostics);
     }
-    return s;
+    return controls;
 }
 
-function sortedPrint(obj, indentCount) {
-    if (typeof obj === "boolean" || typeof obj === "number") {
-        return "" + obj;
-    } else if (typeof obj === "string") {
-        return '"' + obj + '"';
-    } else if (Array.isArray(obj)) {
-        return sortedPrintArray(obj, indentCount);
-    } else if (typeof obj === "object") {
-        return sortedPrintObject(obj, indentCount);
-    } else {
-        throw "sortedPrint: unknown type: " + (typeof obj);
+// Prints the problems found in the d.ts files to stderr. If any of them is an error, the
+// output lacks the members concerned and the process exits with an error once done.
+function reportDiagnostics(diagnostics) {
+    if (diagnostics.diagnostics.length === 0) {
+        return;
+    }
+    console.warn(diagnostics.format());
+    if (diagnostics.hasErrors()) {
+        process.exitCode = 1;
     }
 }
 
-function sortedPrintArray(array, indentCount) {
-    indentCount = (indentCount || 0) + 1;
-    var count = array.length;
-    if (count > 0) {
-        var out = "[";
-        array.sort().forEach(function (item, i) {
-            out += "\n" + indent(indentCount) + sortedPrint(item, indentCount) + (i + 1 < count ? "," : "");
-        });
-        out += "\n" + indent(indentCount - 1) + "]";
-        return out;
-    } else {
-        return "[]";
+var usage = "Usage: node main.js [--config <file>] [--event-names <file.json>] [--target <" + loadBaseline.targets.join("|") + ">[,...]] [--lib <file.d.ts>] [--strict] [--format <" + Object.keys(emitters).join("|") + ">] [--generate <" + Object.keys(generators).join("|") + ">] [--out <file|dir>] [--watch] <file.d.ts|pattern>...\n" +
+    "       node main.js diff <old.d.ts|pattern> <new.d.ts|pattern>";
+
+function parseArgs(args) {
+    var options = {
+        command: null,
+        files: [],
+        format: "var"
+    };
+    if (args[0] === "diff") {
+        options.command = args.shift();
+    }
+    // Returns the value of the option at args[i] and moves past it
+    function value() {
+        if (i + 1 >= args.length || startsWith(args[i + 1], "--")) {
+            throw "Missing value for " + args[i] + ". " + usage;
+        }
+        return args[++i];
+    }
+    for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+        if (arg === "--format") {
+            options.format = value();
+        } else if (arg === "--generate") {
+            options.generate = value();
+        } else if (arg === "--config") {
+            options.configPath = value();
+        } else if (arg === "--event-names") {
+            options.eventNames = value();
+        } else if (arg === "--out") {
+            options.out = value();
+        } else if (arg === "--target") {
+            options.targets = value().split(",");
+        } else if (arg === "--lib") {
+            options.libFile = value();
+        } else if (arg === "--strict") {
+            options.strict = true;
+        } else if (arg === "--watch") {
+            options.watch = true;
+        } else if (startsWith(arg, "--")) {
+            throw "Unknown option: " + arg + ". " + usage;
+        } else {
+            options.files.push(arg);
+        }
     }
+    return options;
 }
 
-function sortedPrintObject(obj, indentCount) {
-    indentCount = (indentCount || 0) + 1;
-    var keys = Object.keys(obj);
-    var keyCount = keys.length;
-    if (keyCount > 0) {
-        var out = "{";
-        keys.sort().forEach(function (key, i) {
-            out += "\n" + indent(indentCount) + key + ": " + sortedPrint(obj[key], indentCount) + (i + 1 < keyCount ? "," : "");
-        });
-        out += "\n" + indent(indentCount - 1) + "}";
-        return out;
+function writeFiles(dir, files) {
+    fs.mkdirSync(dir, { recursive: true });
+    Object.keys(files).sort().forEach(function (fileName) {
+        fs.writeFileSync(path.join(dir, fileName), files[fileName]);
+        console.log("Wrote " + path.join(dir, fileName));
+    });
+}
+
+// Writes the generated files, or the API surface in options.format, to options.out.
+// Without options.out, the API surface is printed.
+function writeOutput(output, options) {
+    if (options.generate) {
+        writeFiles(path.resolve(options.out), generators[options.generate](output));
+    } else if (options.out) {
+        fs.writeFileSync(options.out, emitters[options.format](output));
+        console.log("Wrote " + options.out);
     } else {
-        return "{}";
+        console.log(emitters[options.format](output));
     }
 }
 
+// The files other than the d.ts inputs which affect the output. Without --config, these
+// include each configuration file which may be created in the current directory.
+function getSettingsFiles(options) {
+    var configFiles = options.configPath ? [options.configPath] : loadConfig.fileNames.map(function (fileName) {
+        return path.join(process.cwd(), fileName);
+    });
+    return configFiles.concat([options.eventNames, options.libFile]).filter(function (file) {
+        return file;
+    });
+}
+
+// Writes the output, then rewrites it whenever the input files, the configuration, the
+// event name file or the lib file change, and prints which controls changed. Patterns are
+// expanded again on each change. Problems in the d.ts files are reported after each
+// change. Errors which stop the conversion, such as an invalid configuration file, are
+// printed and leave the output as it was.
+function watchMain(options) {
+    var previousOutput = null;
+    var inputFiles = [];
+    var watcher = watchFiles(update);
+
+    function update() {
+        try {
+            options.config = loadConfig(options);
+            options.diagnostics = new Diagnostics();
+            inputFiles = expandFiles(options.files);
+            var output = processFiles(inputFiles, options);
+            reportDiagnostics(options.diagnostics);
+            writeOutput(output, options);
+            console.log(previousOutput ?
+                diff.formatSummary(diff.diffControls(previousOutput, output)) :
+                Object.keys(output).length + " controls.");
+            previousOutput = output;
+        } catch (e) {
+            console.error(e instanceof Error ? e.stack : e);
+        }
+        watcher.setFiles(inputFiles.concat(getSettingsFiles(options)));
+        console.log("Watching for changes...");
+    }
+
+    update();
+}
+
+function diffMain(options) {
+    if (options.files.length !== 2) {
+        throw "Please pass the paths of the two files to compare. " + usage;
+    }
+
+    // Each side may be a quoted pattern so that typings split across files can be compared
+    var oldOutput = processFiles(expandFiles([options.files[0]]), options);
+    var newOutput = processFiles(expandFiles([options.files[1]]), options);
+    reportDiagnostics(options.diagnostics);
+    console.log(diff.formatDiff(diff.diffControls(oldOutput, newOutput)));
+}
+
 function main() {
-    if (process.argv.length < 3) {
-        console.log("Please pass a valid path. Usage: node main.js /path/to/winjs.d.ts");
+    var options = parseArgs(process.argv.slice(2));
+    options.config = loadConfig(options);
+    options.diagnostics = new Diagnostics();
+    if (options.command === "diff") {
+        diffMain(options);
+        return;
+    }
+    if (options.files.length < 1) {
+        throw "Please pass at least one d.ts file. " + usage;
+    }
+    if (!emitters.hasOwnProperty(options.format)) {
+        throw "Unknown format: " + options.format + ". " + usage;
+    }
+    if (options.generate && !generators.hasOwnProperty(options.generate)) {
+        throw "Unknown generator: " + options.generate + ". " + usage;
+    }
+    if (options.generate && !options.out) {
+        throw "Please pass an output directory for the generated files. " + usage;
+    }
+    if (options.watch) {
+        if (!options.out) {
+            throw "Please pass the output file to rewrite on changes. " + usage;
+        }
+        watchMain(options);
         return;
     }
 
-    var filePath = path.resolve(process.argv[2]);
-    var output = processFile(filePath);
-    
-    var s = "var RawControlApis = " + sortedPrint(output) + ";";
-    console.log(s);
+    var output = processFiles(expandFiles(options.files), options);
+    reportDiagnostics(options.diagnostics);
+    writeOutput(output, options);
 }
 
 if (require.main === module) {
-    main();
+    // Usage errors and the other errors which the tool reports are thrown as strings
+    try {
+        main();
+    } catch (e) {
+        if (typeof e !== "string") {
+            throw e;
+        }
+        console.error(e);
+        process.exitCode = 1;
+    }
 }
@@ -4,14 +4,83 @@ var fs = require('fs')
 var Map = require('./lib/map')
 require('sugar')
 var util = require('util')
-
-function getLine(node) { // TODO: more robust way of getting line numbers
-    var ast = inputs.find(function(x) {return x.file === current_file}).ast;
-    return ast.lineMap.getLineNumberFromPosition(node.minChar) // FIXME: doesn't seem to work
+var loadBaseline = require('./baseline')
+var sourceLocation = require('./lib/location')
+var Diagnostics = require('./lib/diagnostics')
+
+// A Converter holds the state of a single conversion, so that conversions don't interfere
+// with each other. Its methods are the phases below.
+// collector: a Diagnostics (see lib/diagnostics.js) to record the problems found in the
+// input in, rather than throwing on the first one. Declarations with errors are skipped.
+function Converter(collector) {
+	this.inputs = null;
+	this.global_type = null;
+	this.type_env = null;
+	this.extern_types = null;
+	this.enum_types = null;
+	this.alias_types = null;
+	this.implicit_constructors = null;
+	this.unresolved_references = null;
+	this.next_synthetic = 1;
+	this.current_scope = null;
+	this.current_node = null; // the node being parsed, null after the parsing phase
+	this.current_file = '?';
+	this.diagnostics = collector || null;
+}
+
+// Source positions are recorded as {file, position} while parsing and only turned into
+// lines and columns when reported
+Converter.prototype.nodePosition = function(node) {
+	return {file: this.current_file, position: node.minChar}
+}
+Converter.prototype.currentPosition = function() {
+	return this.current_node && this.nodePosition(this.current_node)
+}
+Converter.prototype.getLocation = function(pos) {
+	var input = this.inputs.find(function(x) {return x.file === pos.file})
+	return sourceLocation.getLocation(input, pos.position)
+}
+// positions: where the error is, followed by the other declarations involved, if any.
+// Defaults to the node being parsed, which the converter fills in when it catches the
+// error (see locateError).
+function TypeError(msg, positions) {
+	var error = new Error(msg)
+	error.diagnostic = {message: msg, locations: null}
+	error.positions = positions || null
+	return error
+}
+// Adds the locations of an error thrown by TypeError to its diagnostic and message
+Converter.prototype.locateError = function(error) {
+	var diagnostic = error.diagnostic
+	if (!diagnostic.locations) {
+		diagnostic.locations = (error.positions || [this.currentPosition()]).filter(function(pos) {return pos}).map(this.getLocation, this)
+		error.message = Diagnostics.formatMessage(diagnostic.message, diagnostic.locations)
+	}
+	return error
 }
-var current_node = null;
-function TypeError(msg) {
-	return new Error(msg + " (line " + (current_node && getLine(current_node)) + ")")
+
+// Converts a single declaration, property or base type by calling fn. When the converter
+// was given a diagnostics collector, errors in the d.ts are recorded and false is returned
+// so that the caller can skip it. Otherwise they are thrown.
+Converter.prototype.tryConvert = function(fn) {
+	if (!this.diagnostics) {
+		fn()
+		return true
+	}
+	var scope = this.current_scope
+	var node = this.current_node
+	try {
+		fn()
+		return true
+	} catch (e) {
+		if (!e.diagnostic)
+			throw e // a bug rather than a problem with the input
+		this.locateError(e)
+		this.diagnostics.error(e.diagnostic.message, e.diagnostic.locations)
+		this.current_scope = scope
+		this.current_node = node
+		return false
+	}
 }
 
 // NOTE: some aliasing of TObject occurs when type parameter bounds are copied into constructor type parameters
@@ -38,8 +107,6 @@ function TLocalScope(parent) {
 	this.parent = parent;
 }
 
-var current_scope = null;
-
 // --------------------
 //  Types
 // --------------------
@@ -49,6 +116,18 @@ function compatibleTypes(x,y) {
 		return true;
 	if (x instanceof TQualifiedReference && y instanceof TQualifiedReference)
 		return x.qname === y.qname;
+	if (x instanceof TBuiltin && y instanceof TBuiltin)
+		return x.name === y.name;
+	if (x instanceof TString && y instanceof TString)
+		return x.value === y.value;
+	if (x instanceof TUnion && y instanceof TUnion)
+		return x.types.length === y.types.length && x.types.every(function(t,i) {
+			return compatibleTypes(t, y.types[i])
+		});
+	if (x instanceof TTuple && y instanceof TTuple)
+		return x.elements.length === y.elements.length && x.elements.every(function(t,i) {
+			return compatibleTypes(t, y.elements[i])
+		});
 	return false;
 }
 
@@ -68,27 +147,30 @@ TQualifiedReference.prototype.toString = function() {
 }
 
 // Unresolved reference. Requires name resolution.
-function TReference(name, scope) {
+function TReference(name, scope, position) {
     this.name = name; // string
     this.scope = scope; // TScope
+    this.position = position; // where it is referenced
 }
 TReference.prototype.toString = function() {
 	return this.name
 }
 
 // Type name on form A.B, where A is a type expression and B is an identifier.
-function TMember(base, name) {
+function TMember(base, name, position) {
 	this.base = base; // type expression
 	this.name = name; // string
+	this.position = position; // where it is referenced
 }
 TMember.prototype.toString = function() {
 	return this.base + '.' + this.name
 }
 
 // Type on form "typeof E" where E is a TypeScript expression on form A.B.C...
-function TTypeQuery(names, scope) {
+function TTypeQuery(names, scope, position) {
     this.names = names; // string array
     this.scope = scope;
+    this.position = position; // where it is referenced
 }
 TTypeQuery.prototype.toString = function() {
     return "typeof " + this.names.join('.')
@@ -124,8 +206,35 @@ function TString(value) {
 	this.value = value;
 }
 
+// Union type, A | B.
+function TUnion(types) {
+	this.types = types; // array of types
+}
+TUnion.prototype.toString = function() {
+	return this.types.join(' | ')
+}
+
+// Tuple type, [A, B].
+function TTuple(elements) {
+	this.elements = elements; // array of types
+}
+TTuple.prototype.toString = function() {
+	return '[' + this.elements.join(', ') + ']'
+}
+
+// Type alias, type A<T> = B. Aliases of object types are parsed as interfaces instead.
+function TAlias(qname, typeParameters, type) {
+	this.qname = qname;
+	this.typeParameters = typeParameters; // array of type parameter names
+	this.type = type;
+}
+TAlias.prototype.toString = function() {
+	return this.qname
+}
+
 // Object type.
-function TObject(qname, meta) {
+// position: where it is declared, if known
+function TObject(qname, meta, position) {
 	this.qname = qname;
     this.properties = new Map;
     this.modules = new Map;
@@ -136,27 +245,32 @@ function TObject(qname, meta) {
     this.brand = null;
     this.meta = {
         kind: meta.kind,
-        origin: meta.origin
+        origin: meta.origin,
+        doc: meta.doc || null
     }
+    this.position = position || null;
 }
-TObject.prototype.getModule = function(name) {
+// The position arguments below are where the module or member is declared
+TObject.prototype.getModule = function(name, position) {
 	var t = this.modules.get(name)
 	if (!t) {
-	    t = new TObject(null, {kind:'module', origin:current_file})
+	    t = new TObject(null, {kind:'module', origin:position.file}, position)
 	    this.modules.put(name,t)
 	}
-    t.origin = current_file
+    t.origin = position.file
     return t
 }
-TObject.prototype.getMember = function(name, optional) {
+TObject.prototype.getMember = function(name, optional, position) {
 	var t = this.properties.get(name)
 	if (!t) {
 	    t = {
             optional: !!optional,
-            type:new TObject(null, {kind:'interface', origin:current_file}),
+            type:new TObject(null, {kind:'interface', origin:position.file}, position),
             meta: {
-                origin: current_file
-            }
+                origin: position.file,
+                doc: null
+            },
+            position: position
         }
 	    this.properties.put(name,t)
 	}
@@ -164,19 +278,22 @@ TObject.prototype.getMember = function(name, optional) {
 		throw new TypeError("Cannot extend previous definition of " + name)
     return t.type
 }
-TObject.prototype.setMember = function(name,typ,optional) {
+TObject.prototype.setMember = function(name,typ,optional,doc,position) {
 	var existing = this.properties.get(name)
 	if (existing && !compatibleTypes(typ,existing))
-		throw new TypeError("Duplicate identifier " + name);
+		throw new TypeError("Duplicate identifier " + name, [position, existing.position]);
     if (existing) {
         optional &= existing.optional;
+        doc = doc || existing.meta.doc;
     }
 	this.properties.put(name, {
         optional: !!optional,
         type: typ,
         meta: {
-            origin: current_file
-        }
+            origin: position.file,
+            doc: doc || null
+        },
+        position: position
     })
 }
 TObject.prototype.toString = function() {
@@ -197,8 +314,6 @@ var TAny = new TBuiltin('any');
 //  Extract type environment from AST
 // -----------------------------------
 
-var extern_types;
-
 function isBuiltin(x) {
     switch (x) {
         case 'any':
@@ -233,56 +348,65 @@ function qualify(host, name) {
 // Names defined in modules must be resolved after merging, because the whole module type is not
 // available until then.
 
-function addModuleMember(member, moduleObject, qname) {
-	current_node = member;
+Converter.prototype.addModuleMember = function(member, moduleObject, qname) {
+	var self = this
+	self.current_node = member;
 	var topLevel = qname === '';
     if (member instanceof TypeScript.FunctionDeclaration) {
-    	var obj = moduleObject.getMember(member.name.text())
+    	var obj = moduleObject.getMember(member.name.text(), false, self.nodePosition(member))
     	if (obj instanceof TObject) {
-    		obj.calls.push(parseFunctionType(member))
+    		obj.calls.push(self.parseFunctionType(member))
     	} else {
     		throw new TypeError(member.name.text() + " is not a function")
     	}
     }
     else if (member instanceof TypeScript.VariableStatement) {
         member.declaration.declarators.members.forEach(function(decl) {
-            moduleObject.setMember(decl.id.text(), parseType(decl.typeExpr))
+            var doc = TypeScript.getDocComment(decl) || TypeScript.getDocComment(member)
+            moduleObject.setMember(decl.id.text(), self.parseType(decl.typeExpr), false, doc, self.nodePosition(decl))
         })
     }
     else if (member instanceof TypeScript.ModuleDeclaration) {
     	var name = member.name.text()
     	if (member.isEnum()) { // enums are ModuleDeclarations in the AST, but they are semantically quite different
-    		var enumObj = moduleObject.getModule(name)
-    		var enumResult = parseEnum(member, enumObj, qname)
+    		var enumObj = moduleObject.getModule(name, self.nodePosition(member))
+    		enumObj.meta.doc = enumObj.meta.doc || TypeScript.getDocComment(member)
+    		var enumResult = self.parseEnum(member, enumObj, qname)
     		moduleObject.types.push(name, enumResult.enum)
     	} else {
             if (name[0] === '"' || name[0] === "'") { // external module?
-                parseExternModule(member)
+                self.parseExternModule(member)
             } else {
-                var submodule = moduleObject.getModule(name)
-                parseModule(member, submodule, qualify(qname, name))
+                var submodule = moduleObject.getModule(name, self.nodePosition(member))
+                self.parseModule(member, submodule, qualify(qname, name))
             }
     	}
     }
     else if (member instanceof TypeScript.ClassDeclaration) {
     	var name = member.name.text()
-    	var clazzObj = moduleObject.getModule(name)
-        var clazz = parseClass(member, clazzObj, qname)
+    	var clazzObj = moduleObject.getModule(name, self.nodePosition(member))
+    	clazzObj.meta.doc = clazzObj.meta.doc || TypeScript.getDocComment(member)
+        var clazz = self.parseClass(member, clazzObj, qname)
         // moduleObject.setMember(member.name.text(), clazz.constructorType)
         moduleObject.types.push(member.name.text(), clazz.instanceType)
     }
     else if (member instanceof TypeScript.InterfaceDeclaration) {
     	var name = member.name.text()
-        var t = parseInterface(member, qname)
+        var t = self.parseInterface(member, qname)
+        moduleObject.types.push(name, t)
+    }
+    else if (member instanceof TypeScript.TypeAliasDeclaration) {
+    	var name = member.name.text()
+        var t = self.parseTypeAlias(member, qname)
         moduleObject.types.push(name, t)
     }
     else if (member instanceof TypeScript.ImportDeclaration) {
-        var ref = parseType(member.alias)
+        var ref = self.parseType(member.alias)
         if (topLevel || TypeScript.hasFlag(member.getVarFlags(), TypeScript.VariableFlags.Exported)) {
             moduleObject.types.push(member.id.text(), ref)
         } else {
         	// private alias to (potentially) publicly visible type
-        	current_scope.env.push(member.id.text(), ref)
+        	self.current_scope.env.push(member.id.text(), ref)
         }
     }
     else if (member instanceof TypeScript.ExportAssignment) {
@@ -298,31 +422,34 @@ function addModuleMember(member, moduleObject, qname) {
     }
 }
 
-function parseModule(node, moduleObject, qname) {
+Converter.prototype.parseModule = function(node, moduleObject, qname) {
+    var self = this
     moduleObject.qname = 'module:' + qname;
-    moduleObject.origin = current_file;
-	current_node = node;
-    current_scope = new TModuleScope(moduleObject, current_scope)
-    current_scope = new TLocalScope(current_scope)
+    moduleObject.origin = self.current_file;
+	self.current_node = node;
+    self.current_scope = new TModuleScope(moduleObject, self.current_scope)
+    self.current_scope = new TLocalScope(self.current_scope)
     node.members.members.forEach(function (member) {
-        addModuleMember(member, moduleObject, qname)
+        self.tryConvert(function() {
+            self.addModuleMember(member, moduleObject, qname)
+        })
     })
-    current_scope = current_scope.parent // pop TLocalScope
-    current_scope = current_scope.parent // pop TModuleScope
+    self.current_scope = self.current_scope.parent // pop TLocalScope
+    self.current_scope = self.current_scope.parent // pop TModuleScope
     return moduleObject;
 }
 
-function parseExternModule(node) {
-    current_node = node;
+Converter.prototype.parseExternModule = function(node) {
+    this.current_node = node;
     var rawName = node.name.text()
     var name = rawName.substring(1, rawName.length-1) // remove quotes
     var exportAssignment = node.members.members.find(function(member) {
         return member instanceof TypeScript.ExportAssignment
     })
     if (exportAssignment) {
-        if (extern_types.has(name))
+        if (this.extern_types.has(name))
             throw new TypeError("Redeclared external module: " + name)
-        extern_types.put(name, new TTypeQuery([exportAssignment.id.text()], current_scope))
+        this.extern_types.put(name, new TTypeQuery([exportAssignment.id.text()], this.current_scope, this.nodePosition(node)))
         if (node.members.members.length !== 1)
             throw new TypeError("Members next to export assignment are not supported");
     } else {
@@ -330,87 +457,97 @@ function parseExternModule(node) {
     }
 }
 
-var enum_types = new Map;
-function parseEnum(node, objectType, host) {
-	current_node = node;
+Converter.prototype.parseEnum = function(node, objectType, host) {
+	var self = this
+	self.current_node = node;
 	var qname = qualify(host, node.name.text())
 	var enumType = new TEnum(qname)
     var enumMembers = [];
 	node.members.members.forEach(function (member) {
 		if (member instanceof TypeScript.VariableStatement) {
 			member.declaration.declarators.members.forEach(function (decl) {
-				objectType.setMember(decl.id.text(), enumType)
-                enumMembers.push(qualify(qname, decl.id.text()));
+				self.tryConvert(function() {
+					objectType.setMember(decl.id.text(), enumType, false, TypeScript.getDocComment(decl), self.nodePosition(decl))
+					enumMembers.push(qualify(qname, decl.id.text()));
+				})
 			})
 		} else {
 			throw new TypeError("Unexpected enum member: " + member.constructor.name)
 		}
 	})
-    enum_types.put(qname, enumMembers);
+    self.enum_types.put(qname, enumMembers);
 	return {
 		enum: enumType,
 		object: objectType
 	}
 }
 
-function parseTopLevel(node) {
-	current_node = node;
-	current_scope = new TModuleScope(global_type, null)
+Converter.prototype.parseTopLevel = function(node) {
+	var self = this
+	self.current_node = node;
+	self.current_scope = new TModuleScope(self.global_type, null)
     node.moduleElements.members.forEach(function (member) {
-        addModuleMember(member, global_type, '')
+        self.tryConvert(function() {
+            self.addModuleMember(member, self.global_type, '')
+        })
     })
-    current_scope = null
+    self.current_scope = null
 }
 
-function parseClass(node, constructorType, host) {
-	current_node = node;
+Converter.prototype.parseClass = function(node, constructorType, host) {
+	var self = this
+	self.current_node = node;
 	var name = node.name.text()
     var qname = qualify(host, name)
-    var instanceType = new TObject(qname, {kind:'class', origin:current_file})
+    var instanceType = new TObject(qname, {kind:'class', origin:self.current_file, doc:TypeScript.getDocComment(node)}, self.nodePosition(node))
     instanceType.brand = qname;
     var instanceRef = new TQualifiedReference(qname)
 
     // put type parameters into scope
-    var original_scope = current_scope // scope to restore before returning
-    var static_scope = current_scope // the scope used by static members (cannot see type parameters)
-    var instance_scope = new TTypeParameterScope(current_scope)
-    current_scope = instance_scope
+    var original_scope = self.current_scope // scope to restore before returning
+    var static_scope = self.current_scope // the scope used by static members (cannot see type parameters)
+    var instance_scope = new TTypeParameterScope(self.current_scope)
+    self.current_scope = instance_scope
     var typeParams = []
     node.typeParameters && node.typeParameters.members.forEach(function (tp) {
     	var name = tp.name.text()
     	instance_scope.env.put(name, new TTypeParam(name))
-    	typeParams.push(parseTypeParameter(tp))
+    	typeParams.push(self.parseTypeParameter(tp))
     })
     instanceType.typeParameters = typeParams
 
     // build reference to self type
     var selfTypeArgs = typeParams.map(function(tp) { return new TTypeParam(tp.name) })
     var selfType = selfTypeArgs.length == 0 ? instanceRef : new TGeneric(instanceRef, selfTypeArgs)
+    instance_scope.env.put('this', selfType) // the this type
 
     node.extendsList && node.extendsList.members.forEach(function(ext) {
-        instanceType.supers.push(parseType(ext))
+        instanceType.supers.push(self.parseType(ext))
     })
     node.implementsList && node.implementsList.members.forEach(function(ext) {
-        instanceType.supers.push(parseType(ext))
+        instanceType.supers.push(self.parseType(ext))
     })
     var hasConstructor = false;
     node.members.members.forEach(function(member) {
-    	current_scope = member.isStatic() ? static_scope : instance_scope;
-        if (member instanceof TypeScript.FunctionDeclaration) {
-            if (member.isConstructor) { // syntax: constructor()..
-                hasConstructor = true;
-                constructorType.calls.push(parseConstructorFunction(member, selfType, typeParams))
-            } else {
-            	var container = member.isStatic() ? constructorType : instanceType;
-            	var typ = member.name ? container.getMember(member.name.text()) : container;
-                typ.calls.push(parseFunctionType(member))
+    	self.current_node = member;
+    	self.current_scope = member.isStatic() ? static_scope : instance_scope;
+    	self.tryConvert(function() {
+            if (member instanceof TypeScript.FunctionDeclaration) {
+                if (member.isConstructor) { // syntax: constructor()..
+                    hasConstructor = true;
+                    constructorType.calls.push(self.parseConstructorFunction(member, selfType, typeParams))
+                } else {
+                	var container = member.isStatic() ? constructorType : instanceType;
+                	var typ = member.name ? container.getMember(member.name.text(), false, self.nodePosition(member)) : container;
+                    typ.calls.push(self.parseFunctionType(member))
+                }
             }
-        }
-        else if (member instanceof TypeScript.VariableDeclarator) {
-            // note: class members cannot be optional (AST is not even valid if one tries to do so)
-        	var typ = member.isStatic() ? constructorType : instanceType;
-            typ.setMember(member.id.text(), member.typeExpr ? parseType(member.typeExpr) : TAny)
-        }
+            else if (member instanceof TypeScript.VariableDeclarator) {
+                // note: class members cannot be optional (AST is not even valid if one tries to do so)
+            	var typ = member.isStatic() ? constructorType : instanceType;
+                typ.setMember(member.id.text(), member.typeExpr ? self.parseType(member.typeExpr) : TAny, false, TypeScript.getDocComment(member), self.nodePosition(member))
+            }
+        })
     })
     // Generate automatic constructor, if no constructors are present
     if (!hasConstructor) {
@@ -422,50 +559,95 @@ function parseClass(node, constructorType, host) {
             parameters: [],
             returnType: selfType,
             meta: {
-                implicit: true
+                implicit: true,
+                doc: null
             }
         });
+        // a derived class without constructors takes the constructors of its base class (see inheritancePhase)
+        if (node.extendsList && node.extendsList.members.length > 0) {
+            self.implicit_constructors.push({
+                constructorType: constructorType,
+                base: instanceType.supers[0],
+                selfType: selfType,
+                typeParameters: typeParams,
+                position: instanceType.position
+            })
+        }
     }
-    current_scope = original_scope // restore previous scope
+    self.current_scope = original_scope // restore previous scope
     return {
         constructorType: constructorType,
         instanceType: instanceType
     }
 }
-function parseInterface(node, host) {
-	current_node = node;
+Converter.prototype.parseTypeAlias = function(node, host) {
+	var self = this
+	self.current_node = node;
+	var qname = qualify(host, node.name.text());
+	self.current_scope = new TTypeParameterScope(self.current_scope)
+	var typeParams = []
+	node.typeParameters && node.typeParameters.members.forEach(function(tp) {
+		var name = tp.name.text()
+		self.current_scope.env.put(name, new TTypeParam(name))
+		typeParams.push(self.parseTypeParameter(tp))
+	})
+	var t = self.parseType(node.type)
+	self.current_scope = self.current_scope.parent
+	if (t instanceof TObject && t.qname === null) {
+		// type A = {...} behaves like interface A {...}
+		t.qname = qname
+		t.typeParameters = typeParams
+		return t;
+	}
+	var alias = new TAlias(qname, typeParams.map(function(tp) {return tp.name}), t)
+	self.alias_types.put(qname, alias)
+	return alias;
+}
+
+Converter.prototype.parseInterface = function(node, host) {
+	var self = this
+	self.current_node = node;
 	var qname = qualify(host, node.name.text());
-    var typ = new TObject(qname, {kind:'interface', origin:current_file})
-    current_scope = new TTypeParameterScope(current_scope)
+    var typ = new TObject(qname, {kind:'interface', origin:self.current_file, doc:TypeScript.getDocComment(node)}, self.nodePosition(node))
+    self.current_scope = new TTypeParameterScope(self.current_scope)
     node.typeParameters && node.typeParameters.members.forEach(function(tp,index) {
     	var name = tp.name.text()
-    	current_scope.env.put(name, new TTypeParam(name))
-        typ.typeParameters.push(parseTypeParameter(tp))
+    	self.current_scope.env.put(name, new TTypeParam(name))
+        typ.typeParameters.push(self.parseTypeParameter(tp))
     })
+    if (qname) { // the this type (object type literals are parsed as interfaces without a name)
+        var selfRef = new TQualifiedReference(qname)
+        self.current_scope.env.put('this', typ.typeParameters.length == 0 ? selfRef : new TGeneric(selfRef, typ.typeParameters.map(function(tp) {
+            return new TTypeParam(tp.name)
+        })))
+    }
     node.extendsList && node.extendsList.members.forEach(function(ext) {
-        typ.supers.push(parseType(ext))
+        typ.supers.push(self.parseType(ext))
     })
     node.members.members.forEach(function(member) {
-        if (member instanceof TypeScript.FunctionDeclaration) {
-            var t;
-            if (member.name && !member.isIndexerMember()) {
-                var optional = TypeScript.hasFlag(member.name.getFlags(), TypeScript.ASTFlags.OptionalName)
-                t = typ.getMember(member.name.text(), optional)
-            } else {
-                t = typ;
+        self.current_node = member;
+        self.tryConvert(function() {
+            if (member instanceof TypeScript.FunctionDeclaration) {
+                var t;
+                if (member.name && !member.isIndexerMember()) {
+                    var optional = TypeScript.hasFlag(member.name.getFlags(), TypeScript.ASTFlags.OptionalName)
+                    t = typ.getMember(member.name.text(), optional, self.nodePosition(member))
+                } else {
+                    t = typ;
+                }
+                t.calls.push(self.parseFunctionType(member))
             }
-            t.calls.push(parseFunctionType(member))
-        }
-        else if (member instanceof TypeScript.VariableDeclarator) {
-            var optional = TypeScript.hasFlag(member.id.getFlags(), TypeScript.ASTFlags.OptionalName)
-            var t = member.typeExpr ? parseType(member.typeExpr) : TAny;
-            typ.setMember(member.id.text(), t, optional)
-        }
-        else {
-            throw new TypeError("Unexpected member " + member.constructor.name + " in interface")
-        }
+            else if (member instanceof TypeScript.VariableDeclarator) {
+                var optional = TypeScript.hasFlag(member.id.getFlags(), TypeScript.ASTFlags.OptionalName)
+                var t = member.typeExpr ? self.parseType(member.typeExpr) : TAny;
+                typ.setMember(member.id.text(), t, optional, TypeScript.getDocComment(member), self.nodePosition(member))
+            }
+            else {
+                throw new TypeError("Unexpected member " + member.constructor.name + " in interface")
+            }
+        })
     })
-    current_scope = current_scope.parent
+    self.current_scope = self.current_scope.parent
     return typ
 }
 
@@ -501,15 +683,15 @@ function parseNameList(node) {
     }
 }
 
-function parseType(node) {
-	current_node = node;
+Converter.prototype.parseType = function(node) {
+	this.current_node = node;
     if (node instanceof TypeScript.GenericType) {
-        var t = parseType(node.name)
-        var targs = node.typeArguments.members.map(parseType)
+        var t = this.parseType(node.name)
+        var targs = node.typeArguments.members.map(this.parseType, this)
         return new TGeneric(t, targs)
     }
     else if (node instanceof TypeScript.TypeReference) {
-        var t = parseType(node.term)
+        var t = this.parseType(node.term)
         for (var i=0; i<node.arrayCount; i++) {
             t = new TGeneric(new TQualifiedReference('Array'), [t])
         }
@@ -517,117 +699,131 @@ function parseType(node) {
     }
     else if (node instanceof TypeScript.Identifier) {
     	// try to resolve early (type parameters must be resolved before merging)
-    	var t = lookupTypeParameter(current_scope, node.text())
+    	var t = lookupTypeParameter(this.current_scope, node.text())
     	if (t) {
     		return t;
     	}
     	// defer resolution for later
-        return new TReference(node.text(), current_scope)
+        return new TReference(node.text(), this.current_scope, this.nodePosition(node))
     }
     else if (node instanceof TypeScript.InterfaceDeclaration) {
-        return parseInterface(node)
+        return this.parseInterface(node)
     }
     else if (node instanceof TypeScript.FunctionDeclaration) {
-    	var t = new TObject(null, {kind:'interface', origin:current_file});
-        t.calls.push(parseFunctionType(node))
+    	var t = new TObject(null, {kind:'interface', origin:this.current_file}, this.nodePosition(node));
+        t.calls.push(this.parseFunctionType(node))
         return t;
     }
     else if (node instanceof TypeScript.BinaryExpression) {
-    	return new TMember(parseType(node.operand1), node.operand2.text())
+    	return new TMember(this.parseType(node.operand1), node.operand2.text(), this.nodePosition(node))
     }
     else if (node instanceof TypeScript.StringLiteral) {
     	return new TString(node.text())
     }
+    else if (node instanceof TypeScript.UnionType) {
+        return new TUnion(node.types.map(this.parseType, this))
+    }
+    else if (node instanceof TypeScript.TupleType) {
+        return new TTuple(node.types.map(this.parseType, this))
+    }
     else if (node instanceof TypeScript.TypeQuery) {
-        return new TTypeQuery(parseNameList(node.name), current_scope)
+        return new TTypeQuery(parseNameList(node.name), this.current_scope, this.nodePosition(node))
     }
     else {
         throw new TypeError("Unexpected type: " + (node && node.constructor.name))
     }
 }
 
-function parseParameter(node) {
-	current_node = node;
+Converter.prototype.parseParameter = function(node) {
+	this.current_node = node;
     return {
         optional: node.isOptional,
         name: node.id.text(),
-        type: node.typeExpr ? parseType(node.typeExpr) : TAny
+        type: node.typeExpr ? this.parseType(node.typeExpr) : TAny
     }
 }
 
-function parseTypeParameter(node) {
-	current_node = node;
+Converter.prototype.parseTypeParameter = function(node) {
+	this.current_node = node;
     return {
         name: node.name.text(),
-        constraint: node.constraint ? parseType(node.constraint) : null
+        constraint: node.constraint ? this.parseType(node.constraint) : null
     }
 }
 
-function parseConstructorFunction(node, selfTypeRef, instanceTypeParams) {
-	current_node = node;
+Converter.prototype.parseConstructorFunction = function(node, selfTypeRef, instanceTypeParams) {
+	var self = this
+	self.current_node = node;
     // convert constructor to generic function
     // for example: class Foo<T> { constructor<U>(x:T, y:U) }
     // the constructor type is: <T,U>(x:T, y:U) => Foo<T>
 	// reminder: a type parameter and its precedents must be in scope when we parse its constraint
-	current_scope = new TTypeParameterScope(current_scope)
+	self.current_scope = new TTypeParameterScope(self.current_scope)
 	var typeParams = []
 	instanceTypeParams.forEach(function(tp,index) {
-		current_scope.env.put(tp.name, new TTypeParam(tp.name))
+		self.current_scope.env.put(tp.name, new TTypeParam(tp.name))
 		typeParams.push(tp)
 	})
 	node.typeArguments && node.typeArguments.members.forEach(function (tp,index) {
 		var name = tp.name.text()
-		current_scope.env.put(name, new TTypeParam(name))
-		typeParams.push(parseTypeParameter(tp))
+		self.current_scope.env.put(name, new TTypeParam(name))
+		typeParams.push(self.parseTypeParameter(tp))
 	})
 	var t = {
 		new: true,
 		variadic: node.variableArgList,
 		indexer: false,
 		typeParameters: typeParams,
-		parameters: node.arguments.members.map(parseParameter),
+		parameters: node.arguments.members.map(self.parseParameter, self),
         returnType: selfTypeRef,
         meta: {
-            implicit: false
+            implicit: false,
+            doc: TypeScript.getDocComment(node)
         }
 	}
-	current_scope = current_scope.parent // restore scope
+	self.current_scope = self.current_scope.parent // restore scope
 	return t
 }
 
-function parseFunctionType(node) {
-	current_node = node;
-	current_scope = new TTypeParameterScope(current_scope)
+Converter.prototype.parseFunctionType = function(node) {
+	var self = this
+	self.current_node = node;
+	self.current_scope = new TTypeParameterScope(self.current_scope)
 	var typeParams = []
 	node.typeArguments && node.typeArguments.members.forEach(function(tp) {
 		var name = tp.name.text()
-		current_scope.env.put(name, new TTypeParam(name))
-		typeParams.push(parseTypeParameter(tp))
+		self.current_scope.env.put(name, new TTypeParam(name))
+		typeParams.push(self.parseTypeParameter(tp))
 	})
     var result = {
         new: node.isConstructMember(),
         variadic: node.variableArgList,
         indexer: node.isIndexerMember(),
         typeParameters: typeParams,
-        parameters: node.arguments.members.map(parseParameter),
-        returnType: node.returnTypeAnnotation ? parseType(node.returnTypeAnnotation) : TAny,
+        parameters: node.arguments.members.map(self.parseParameter, self),
+        returnType: node.returnTypeAnnotation ? self.parseType(node.returnTypeAnnotation) : TAny,
         meta: {
-            implicit: false
+            implicit: false,
+            doc: TypeScript.getDocComment(node)
         }
     }
-    current_scope = current_scope.parent
+    self.current_scope = self.current_scope.parent
     return result
 }
 
-var global_type;
-var current_file = '?';
-function parsingPhase() {
-    global_type = new TObject('', {kind:'module', origin:''});
-    extern_types = new Map;
-    inputs.forEach(function (input) {
-        current_file = input.file;
-        parseTopLevel(input.ast)
+Converter.prototype.parsingPhase = function() {
+    var self = this
+    self.global_type = new TObject('', {kind:'module', origin:''});
+    self.extern_types = new Map;
+    self.enum_types = new Map;
+    self.alias_types = new Map;
+    self.implicit_constructors = [];
+    self.unresolved_references = new Map;
+    self.inputs.forEach(function (input) {
+        self.current_file = input.file;
+        self.parseTopLevel(input.ast)
     });
+    self.current_node = null; // later phases report the positions recorded while parsing
 }
 
 
@@ -648,6 +844,7 @@ function mergePropertyInto(hostPrty, otherPrty) {
     var typ = hostPrty.type;
     var other = otherPrty.type;
     hostPrty.optional &= otherPrty.optional;
+    hostPrty.meta.doc = hostPrty.meta.doc || otherPrty.meta.doc;
 	if (typ instanceof TQualifiedReference && other instanceof TQualifiedReference) {
 		if (typ.qname === other.qname) {
 			return; // ok
@@ -659,7 +856,10 @@ function mergePropertyInto(hostPrty, otherPrty) {
 		})
 		return; // ok
 	}
-	throw new TypeError("Incompatible types: " + typ + " and " + other)
+	else if ((typ instanceof TUnion || typ instanceof TTuple) && compatibleTypes(typ, other)) {
+		return; // ok
+	}
+	throw new TypeError("Incompatible types: " + typ + " and " + other, [otherPrty.position, hostPrty.position])
 }
 
 function renameTypeParametersInParam(param, mapping) {
@@ -712,7 +912,8 @@ function renameTypeParametersInPrty(prty, mapping) {
     return {
         optional: prty.optional,
         type: renameTypeParametersInType(prty.type, mapping),
-        meta: prty.meta
+        meta: prty.meta,
+        position: prty.position
     }
 }
 
@@ -740,24 +941,38 @@ function renameTypeParametersInType(typ, mapping) {
 		})
 		return typ;
 	}
+	else if (typ instanceof TUnion) {
+		typ.types = typ.types.map(function(t) {
+			return renameTypeParametersInType(t, mapping)
+		})
+		return typ;
+	}
+	else if (typ instanceof TTuple) {
+		typ.elements = typ.elements.map(function(t) {
+			return renameTypeParametersInType(t, mapping)
+		})
+		return typ;
+	}
 	else {
 		return typ;
 	}
 }
 
-function mergeInto(typ, other) {
+Converter.prototype.mergeInto = function(typ, other) {
+    var self = this
     if (!(typ instanceof TObject) || !(other instanceof TObject)) {
-        throw new TypeError("Incompatible types for " + typ.qname + ": " + typ.constructor.name + " and " + other.constructor.name)
+        throw new TypeError("Incompatible types for " + typ.qname + ": " + typ.constructor.name + " and " + other.constructor.name, [other.position, typ.position])
     }
     if (typ === other)
         return;
     if (typ.typeParameters.length !== other.typeParameters.length)
-    	throw new TypeError("Unequal number of type parameters for partial definitions of " + typ.qname)
+    	throw new TypeError("Unequal number of type parameters for partial definitions of " + typ.qname, [other.position, typ.position])
     if (typ.brand && other.brand)
-        throw new TypeError("Incompatible types: " + typ.qname + " and " + other.qname)
+        throw new TypeError("Incompatible types: " + typ.qname + " and " + other.qname, [other.position, typ.position])
     if (other.brand) {
         typ.brand = other.brand
     }
+    typ.meta.doc = typ.meta.doc || other.meta.doc
     var mapping = new Map
     for (var i=0; i<typ.typeParameters.length; i++) {
     	mapping.put(other.typeParameters[i].name, typ.typeParameters[i].name)
@@ -770,13 +985,15 @@ function mergeInto(typ, other) {
             typ.properties.put(name, otherPrty)
     		// typ.setMember(name, otherPrty.type, otherPrty.optional)
     	} else {
-    		mergePropertyInto(existing, otherPrty)
+    		self.tryConvert(function() {
+    			mergePropertyInto(existing, otherPrty)
+    		})
     	}
     })
     other.types.forEach(function(name,otherT) {
         var typT = typ.types.get(name)
         if (typT) {
-            mergeInto(typT, otherT)
+            self.mergeInto(typT, otherT)
         } else if (typT !== otherT) {
             typ.types.put(name, otherT)
         }
@@ -785,32 +1002,38 @@ function mergeInto(typ, other) {
     	typ.calls.push(call)
     })
 }
-function mergeObjectTypes(x) {
+Converter.prototype.mergeObjectTypes = function(x) {
+    var self = this
     if (x instanceof TObject) {
     	x.modules.forEach(function(name,module) {
-    		mergeObjectTypes(module)
+    		self.mergeObjectTypes(module)
     	})
         x.types.forEach(function(name,types) {
-            types.forEach(mergeObjectTypes)
-            for (var i=1; i<types.length; i++) {
-                mergeInto(types[0], types[i])
-            }
+            types.forEach(self.mergeObjectTypes, self)
+            types.slice(1).forEach(function(other) {
+                self.tryConvert(function() {
+                    self.mergeInto(types[0], other)
+                })
+            })
             x.types.put(name, types[0])
         })
     }
 }
-function mergeScopeTypes(x) {
+Converter.prototype.mergeScopeTypes = function(x) {
+	var self = this
 	x.env.forEach(function(name,types) {
-		types.forEach(mergeObjectTypes)
-		for (var i=1; i<types.length; i++) {
-			mergeInto(types[0], types[i])
-		}
+		types.forEach(self.mergeObjectTypes, self)
+		types.slice(1).forEach(function(other) {
+			self.tryConvert(function() {
+				self.mergeInto(types[0], other)
+			})
+		})
 		x.env.put(name, types[0])
 	})
 }
 
-function mergingPhase() {
-    mergeObjectTypes(global_type)
+Converter.prototype.mergingPhase = function() {
+    this.mergeObjectTypes(this.global_type)
 }
 
 
@@ -819,19 +1042,17 @@ function mergingPhase() {
 // ----------------------------------
 
 
-var type_env;
-var next_synthetic;
-
-function buildEnv(type) {
+Converter.prototype.buildEnv = function(type) {
+	var self = this
 	if (type instanceof TObject) {
 		type.types.mapUpdate(function(name,typ) {
-			return buildEnv(typ)
+			return self.buildEnv(typ)
 		})
 		type.modules.mapUpdate(function(name,typ) {
-			return buildEnv(typ)
+			return self.buildEnv(typ)
 		})
 		if (type.qname) {
-			type_env.put(type.qname, type)
+			self.type_env.put(type.qname, type)
 			return new TQualifiedReference(type.qname)
 		} else {
 			return type;
@@ -846,17 +1067,17 @@ function buildEnv(type) {
 	}
 }
 
-function typeEnvironmentPhase() {
-    type_env = new Map
-    global_type.qname = '<global>'
-    next_synthetic = 1
-    buildEnv(global_type)
+Converter.prototype.typeEnvironmentPhase = function() {
+    this.type_env = new Map
+    this.global_type.qname = '<global>'
+    this.next_synthetic = 1
+    this.buildEnv(this.global_type)
 }
 
-function synthesizeName(obj)  {
+Converter.prototype.synthesizeName = function(obj) {
     if (obj.qname === null) {
-        obj.qname = '#' + (next_synthetic++);
-        type_env.put(obj.qname, obj)
+        obj.qname = '#' + (this.next_synthetic++);
+        this.type_env.put(obj.qname, obj)
     }
     return new TQualifiedReference(obj.qname)
 }
@@ -866,10 +1087,11 @@ function synthesizeName(obj)  {
 //  Name resolution (and resolution of TTypeQuery)
 // ----------------------------------------------------------
 
-function lookupQualifiedType(qname) {
-	var t = type_env.get(qname)
+// position: where the type is referenced, if known
+Converter.prototype.lookupQualifiedType = function(qname, position) {
+	var t = this.type_env.get(qname)
 	if (!t)
-		throw new TypeError("Unresolved type: " + qname)
+		throw new TypeError("Unresolved type: " + qname, [position])
 	return t;
 }
 
@@ -899,17 +1121,21 @@ function lookupInScope(scope, name, isModule) {
 	return null;
 }
 
-function resolveToObject(type) {
-	type = resolveReference(type, true)
+Converter.prototype.resolveToObject = function(type) {
+	var position = type.position
+	type = this.resolveReference(type, true)
+	while (type instanceof TAlias)
+		type = this.resolveReference(type.type, true)
 	if (type instanceof TQualifiedReference)
-		type = lookupQualifiedType(type.qname)
+		type = this.lookupQualifiedType(type.qname, type.position || position)
 	if (type instanceof TObject)
 		return type;
-	throw new TypeError("Could not resolve " + type + " to an object")
+	throw new TypeError("Could not resolve " + type + " to an object", [position])
 }
 
-function lookupInType(type, name, isModule) {
-	var obj = resolveToObject(type)
+// position: where the member is referenced, if known
+Converter.prototype.lookupInType = function(type, name, isModule, position) {
+	var obj = this.resolveToObject(type)
 	if (isModule) {
 		var t = obj.modules.get(name)
 		if (t)
@@ -917,7 +1143,7 @@ function lookupInType(type, name, isModule) {
 	}
 	var t = obj.types.get(name)
 	if (!t)
-		throw new TypeError("Could not find type " + name)
+		throw new TypeError("Could not find type " + name, [position])
 	return t;
 }
 
@@ -946,86 +1172,154 @@ function lookupPrtyInScope(scope, name) {
     return null
 }
 
+// The qualified name of the module in which a reference was looked up, '' for the global scope
+function scopeModuleName(scope) {
+	while (!(scope instanceof TModuleScope))
+		scope = scope.parent
+	return scope.obj.qname.replace(/^module:/, '')
+}
+// Records the modules in which name was looked up and where it is first referenced
+Converter.prototype.addUnresolvedReference = function(name, scope, position) {
+	var entry = this.unresolved_references.get(name)
+	if (!entry) {
+		entry = {scopes: [], position: position}
+		this.unresolved_references.put(name, entry)
+	}
+	var moduleName = scopeModuleName(scope)
+	if (entry.scopes.indexOf(moduleName) === -1)
+		entry.scopes.push(moduleName)
+}
+
+// Resolves the reference x with resolveFn, at most once. A failed resolution throws the
+// same error when x is resolved again (when errors are collected, see tryConvert).
+function resolveOnce(x, resolveFn) {
+	if (x.resolution)
+		return x.resolution
+	if (x.failure)
+		throw x.failure
+	if (x.resolving)
+		throw new TypeError("Cyclic reference involving " + x, [x.position])
+	x.resolving = true
+	try {
+		x.resolution = resolveFn()
+	} catch (e) {
+		x.failure = e
+		throw e
+	} finally {
+		x.resolving = false
+	}
+	return x.resolution
+}
+
 // Resolves a TReference or TMember to a TQualifiedReference
-function resolveReference(x, isModule) {
+Converter.prototype.resolveReference = function(x, isModule) {
+	var self = this
 	if (x instanceof TReference) {
         if (isBuiltin(x.name))
             return new TBuiltin(x.name)
-		if (x.resolution)
-			return x.resolution
-		if (x.resolving)
-			throw new TypeError("Cyclic reference involving " + x)
-		x.resolving = true
-		var t = lookupInScope(x.scope, x.name, isModule)
-		if (!t) {
-            t = new TQualifiedReference(x.name) // XXX: for now assume global reference
-			// throw new TypeError("Unresolved type: " + x.name)
-		}
-		t = resolveReference(t, isModule)
-		x.resolution = t;
-		return t;
+		return resolveOnce(x, function() {
+			var t = lookupInScope(x.scope, x.name, isModule)
+			if (!t) {
+                t = new TQualifiedReference(x.name) // XXX: for now assume global reference
+                t.position = x.position
+                self.addUnresolvedReference(x.name, x.scope, x.position)
+				// throw new TypeError("Unresolved type: " + x.name)
+			}
+			return self.resolveReference(t, isModule)
+		})
 	} else if (x instanceof TMember) {
-		if (x.resolution)
-			return x.resolution
-		if (x.resolving)
-			throw new TypeError("Cyclic reference involving " + x)
-		x.resolving = true
-		var base = resolveReference(x.base, true)
-		var t = resolveReference(lookupInType(base, x.name, isModule), isModule)
-		x.resolution = t
-		return t;
+		return resolveOnce(x, function() {
+			var base = self.resolveReference(x.base, true)
+			return self.resolveReference(self.lookupInType(base, x.name, isModule, x.position), isModule)
+		})
     } else if (x instanceof TTypeQuery) {
-        if (x.resolution)
-            return x.resolution;
-        if (x.resolving)
-            throw new TypeError("Cyclic reference involving " + x)
-        x.resolving = true
-        var t = lookupPrtyInScope(x.scope, x.names[0])
-        if (!t)
-            throw new TypeError("Name not found: " + x.names[0])
-        t = resolveReference(t)
-        for (var i=1; i<x.names.length; i++) {
-            var prty = t.properties.get(x.names[i])
-            var module = t.modules.get(x.names[i])
-            var t = prty ? prty.type : module;
+        return resolveOnce(x, function() {
+            var t = lookupPrtyInScope(x.scope, x.names[0])
             if (!t)
-                throw new TypeError("Name not found: " + x.names.slice(0,i).join('.'))
-            t = resolveReference(t)
-        }
-        if (t instanceof TObject && !t.qname) {
-            t = synthesizeName(t) // don't create aliasing
-        }
-        x.resolution = t;
-        return t;
+                throw new TypeError("Name not found: " + x.names[0], [x.position])
+            t = self.resolveReference(t)
+            for (var i=1; i<x.names.length; i++) {
+                var prty = t.properties.get(x.names[i])
+                var module = t.modules.get(x.names[i])
+                var t = prty ? prty.type : module;
+                if (!t)
+                    throw new TypeError("Name not found: " + x.names.slice(0,i).join('.'), [x.position])
+                t = self.resolveReference(t)
+            }
+            if (t instanceof TObject && !t.qname) {
+                t = self.synthesizeName(t) // don't create aliasing
+            }
+            return t;
+        })
 	} else {
 		return x;
 	}
 }
 
+// Resolves an alias instantiated with the given type arguments to the aliased type.
+// position is the position of the reference to the alias.
+Converter.prototype.resolveAlias = function(alias, args, position) {
+	var self = this
+	if (alias.typeParameters.length !== args.length)
+		throw new TypeError(alias.qname + " expects " + alias.typeParameters.length + " type parameters but got " + args.length, [position])
+	if (alias.resolving)
+		throw new TypeError("Cyclic reference involving " + alias, [position])
+	var tenv = new Map
+	alias.typeParameters.forEach(function(name,i) {
+		tenv.put(name, self.resolveType(args[i]))
+	})
+	alias.resolving = true
+	try {
+		return self.resolveType(substType(alias.type, tenv))
+	} finally {
+		alias.resolving = false
+	}
+}
+
 // Recursively builds a type where all references have been resolved
-function resolveType(x) {
-	if (x instanceof TReference) {
-		return resolveReference(x)
-	} else if (x instanceof TMember) {
-		return resolveReference(x)
+Converter.prototype.resolveType = function(x) {
+	if (x instanceof TReference || x instanceof TMember) {
+		var t = this.resolveReference(x)
+		if (t instanceof TAlias)
+			return this.resolveAlias(t, [], x.position)
+		return t;
 	} else if (x instanceof TObject) {
         if (x.qname)
             return new TQualifiedReference(x.qname) // can happen if a qname was synthesized by resolveReference
-		return resolveObject(x);
+		return this.resolveObject(x);
 	} else if (x instanceof TQualifiedReference) {
 		return x;
 	} else if (x instanceof TTypeParam) {
-		return new TTypeParam(x.name, x.constraint && resolveType(x.constraint))
+		return new TTypeParam(x.name, x.constraint && this.resolveType(x.constraint))
 	} else if (x instanceof TGeneric) {
-		return new TGeneric(resolveType(x.base), x.args.map(resolveType))
+		if (x.base instanceof TReference || x.base instanceof TMember) {
+			var base = this.resolveReference(x.base)
+			if (base instanceof TAlias)
+				return this.resolveAlias(base, x.args, x.base.position)
+		}
+		return new TGeneric(this.resolveType(x.base), x.args.map(this.resolveType, this))
 	} else if (x instanceof TString) {
 		return x;
+	} else if (x instanceof TUnion) {
+		var types = []
+		function add(t) {
+			if (t instanceof TUnion) // can happen when a member is an alias of a union
+				t.types.forEach(add)
+			else if (!types.some(compatibleTypes.fill(t)))
+				types.push(t)
+		}
+		x.types.map(this.resolveType, this).forEach(add)
+		return new TUnion(types)
+	} else if (x instanceof TTuple) {
+		return new TTuple(x.elements.map(this.resolveType, this))
 	} else if (x instanceof TBuiltin) {
 		return x;
 	} else if (x instanceof TTypeQuery) {
-        return resolveReference(x);
+        return this.resolveReference(x);
     } else if (x instanceof TEnum) {
         return x;
+    } else if (x instanceof TAlias) {
+        return x; // resolved in nameResolutionPhase
     }
 	var msg;
 	if (x.constructor.name === 'Object')
@@ -1035,68 +1329,104 @@ function resolveType(x) {
 	throw new TypeError("Cannot canonicalize reference to " + (x && x.constructor.name + ': ' + msg))
 }
 
-function resolveCall(call) {
+Converter.prototype.resolveCall = function(call) {
 	return {
 		new: call.new,
 		variadic: call.variadic,
 		indexer: call.indexer,
-		typeParameters: call.typeParameters.map(resolveTypeParameter),
-		parameters: call.parameters.map(resolveParameter),
-		returnType: resolveType(call.returnType),
+		typeParameters: call.typeParameters.map(this.resolveTypeParameter, this),
+		parameters: call.parameters.map(this.resolveParameter, this),
+		returnType: this.resolveType(call.returnType),
         meta: call.meta,
 	}
 
 }
-function resolveTypeParameter(tp) {
+Converter.prototype.resolveTypeParameter = function(tp) {
 	return {
 		name: tp.name,
-		constraint: tp.constraint && resolveType(tp.constraint)
+		constraint: tp.constraint && this.resolveType(tp.constraint)
 	}
 }
 
-function resolveParameter(param) {
+Converter.prototype.resolveParameter = function(param) {
 	return {
 		optional: param.optional,
 		name: param.name,
-		type: resolveType(param.type)
+		type: this.resolveType(param.type)
 	}
 }
 
-function resolveObject(type) {
-	type.properties.mapUpdate(function(name,prty) {
-		if (prty.type.constructor.name == 'Object')
-			throw new TypeError(type.qname + "." + name + " is not a type: " + util.inspect(prty.type))
-		return {
-            optional: prty.optional,
-            type: resolveType(prty.type),
-            meta: prty.meta
-        }
+// Members whose types can't be resolved are removed when errors are collected (see tryConvert)
+Converter.prototype.resolveObject = function(type) {
+	var self = this
+	type.properties.forEach(function(name,prty) {
+		var ok = self.tryConvert(function() {
+			if (prty.type.constructor.name == 'Object')
+				throw new TypeError(type.qname + "." + name + " is not a type: " + util.inspect(prty.type), [prty.position])
+			type.properties.put(name, {
+                optional: prty.optional,
+                type: self.resolveType(prty.type),
+                meta: prty.meta,
+                position: prty.position
+            })
+		})
+		if (!ok)
+			type.properties.remove(name)
 	})
-	type.types.mapUpdate(function(name,typ) {
-		return resolveType(typ);
+	type.types.forEach(function(name,typ) {
+		var ok = self.tryConvert(function() {
+			type.types.put(name, self.resolveType(typ))
+		})
+		if (!ok)
+			type.types.remove(name)
 	})
 	type.modules.forEach(function (name,typ) {
-		resolve(typ)
+		self.resolve(typ)
 	})
-	type.supers = type.supers.map(resolveType)
-	type.calls = type.calls.map(resolveCall)
-    type.typeParameters = type.typeParameters.map(resolveTypeParameter)
+	type.supers = self.resolveEach(type.supers, self.resolveType)
+	type.calls = self.resolveEach(type.calls, self.resolveCall)
+    type.typeParameters = type.typeParameters.map(self.resolveTypeParameter, self)
 	return type;
 }
 
-function resolve(x) {
+// Maps the items with fn, a method of the converter, leaving out those which fail when
+// errors are collected
+Converter.prototype.resolveEach = function(items, fn) {
+	var self = this
+	var result = []
+	items.forEach(function(item) {
+		self.tryConvert(function() {
+			result.push(fn.call(self, item))
+		})
+	})
+	return result
+}
+
+Converter.prototype.resolve = function(x) {
 	if (x instanceof TObject) {
-		resolveObject(x)
+		this.resolveObject(x)
 	}
 	return x;
 }
 
-function nameResolutionPhase() {
-    type_env.forEach(function(name,type) {
-    	resolve(type)
+Converter.prototype.nameResolutionPhase = function() {
+    var self = this
+    self.type_env.forEach(function(name,type) {
+    	self.resolve(type)
+    })
+    self.extern_types.forEach(function(name,type) {
+        var ok = self.tryConvert(function() {
+            self.extern_types.put(name, self.resolveReference(type))
+        })
+        if (!ok)
+            self.extern_types.remove(name)
     })
-    extern_types.mapUpdate(function(name,type) {
-        return resolveReference(type)
+    self.alias_types.forEach(function(name,alias) {
+        var ok = self.tryConvert(function() {
+            alias.type = self.resolveType(alias.type)
+        })
+        if (!ok)
+            alias.type = TAny
     })
 }
 
@@ -1105,34 +1435,41 @@ function nameResolutionPhase() {
 //     Demodule phase: Convert modules to properties
 // ---------------------------------------------------
 
-function demodule(t) {
+Converter.prototype.demodule = function(t) {
+    var self = this
     t.modules.forEach(function(name,ref) {
-        var module = resolveToObject(ref)
-        if (t.properties.has(name)) {
-            var typ = t.properties.get(name).type
-            if (isOnlyFunction(typ)) {
-                typ.calls.forEach(function(call) {
-                    module.calls.push(call)
-                })
-            } else {
-               throw new TypeError(t.qname + "." + name + " of type " + t.properties.get(name).type + " clashes with name of ref");
+        var module = self.resolveToObject(ref)
+        var ok = self.tryConvert(function() {
+            if (t.properties.has(name)) {
+                var prty = t.properties.get(name)
+                if (isOnlyFunction(prty.type)) {
+                    prty.type.calls.forEach(function(call) {
+                        module.calls.push(call)
+                    })
+                } else {
+                   throw new TypeError(t.qname + "." + name + " of type " + prty.type + " clashes with name of ref", [prty.position, module.position]);
+                }
             }
-        }
+        })
+        if (!ok)
+            return; // keep the property, only returns to forEach loop
         if (!module.origin)
             throw new Error("No origin on module: " + module.qname)
         t.properties.put(name, {
             optional: false,
             type: ref,
             meta: {
-                origin: module.origin
-            }
+                origin: module.origin,
+                doc: module.meta.doc
+            },
+            position: module.position
         })
-        demodule(module)
+        self.demodule(module)
     })
 }
 
-function demodulePhase() {
-    demodule(global_type);
+Converter.prototype.demodulePhase = function() {
+    this.demodule(this.global_type);
 }
 
 
@@ -1145,7 +1482,8 @@ function substProperty(prty, tenv) {
     return {
         optional: prty.optional,
         type: substType(prty.type, tenv),
-        meta: prty.meta
+        meta: prty.meta,
+        position: prty.position
     }
 }
 function substParameter(param, tenv) {
@@ -1189,6 +1527,12 @@ function substType(type, tenv) {
     else if (type instanceof TGeneric) {
         return new TGeneric(substType(type.base, tenv), type.args.map(substType.fill(undefined,tenv)))
     }
+    else if (type instanceof TUnion) {
+        return new TUnion(type.types.map(substType.fill(undefined,tenv)))
+    }
+    else if (type instanceof TTuple) {
+        return new TTuple(type.elements.map(substType.fill(undefined,tenv)))
+    }
     else if (type instanceof TTypeParam) {
         var t = tenv.get(type.name)
         if (t)
@@ -1217,42 +1561,123 @@ function cloneProperty(prty) {
 function cloneCall(call) {
     return substCall(call, new Map)
 }
-function inheritObject(obj) {
+// Returns null when type refers to a global type which isn't declared, such as a DOM type
+// when no lib.d.ts is given, since there are no members to inherit from it.
+Converter.prototype.lookupSuperObject = function(type) {
+    var t = this.resolveReference(type, true)
+    if (t instanceof TQualifiedReference && !this.type_env.has(t.qname))
+        return null
+    return this.resolveToObject(t)
+}
+Converter.prototype.inheritObject = function(obj) {
+    var self = this
     if (!(obj instanceof TObject))
         throw new Error("Unexpected type in inheritObject: " + util.inspect(obj))
     if (obj.supers.length === 0)
         return;
     if (obj.inheriting)
-        throw new Error("Cyclic inheritance involving " + obj.qname)
+        throw new TypeError("Cyclic inheritance involving " + obj.qname, [obj.position])
     obj.inheriting = true
     obj.supers.forEach(function(sup) {
-        var superObj;
-        if (sup instanceof TGeneric) {
-            var base = resolveToObject(sup.base);
-            inheritObject(base);
-            superObj = substWithTypeArgs(base, sup.args)
-        } else {
-            superObj = resolveToObject(sup)
-            if (!superObj)
-                return; // only returns to forEach loop
-            inheritObject(superObj)
-        }
-        superObj.properties.forEach(function(name,prty) {
-            if (!obj.properties.has(name)) {
-                obj.properties.put(name, cloneProperty(prty))
+        self.tryConvert(function() {
+            var superObj;
+            if (sup instanceof TGeneric) {
+                var base = self.lookupSuperObject(sup.base);
+                if (!base)
+                    return;
+                self.inheritObject(base);
+                superObj = substWithTypeArgs(base, sup.args)
+            } else {
+                superObj = self.lookupSuperObject(sup)
+                if (!superObj)
+                    return;
+                self.inheritObject(superObj)
             }
-        })
-        superObj.calls.forEach(function(call) {
-            obj.calls.push(cloneCall(call))
+            superObj.properties.forEach(function(name,prty) {
+                if (!obj.properties.has(name)) {
+                    obj.properties.put(name, cloneProperty(prty))
+                }
+            })
+            superObj.calls.forEach(function(call) {
+                obj.calls.push(cloneCall(call))
+            })
         })
     })
     obj.supers = []
 }
 
-function inheritancePhase() {
-    type_env.forEach(function(name,value) {
+// The static side of a class is the module of the same name in its parent module.
+// Returns null if qname isn't a class (e.g. a class extending an interface declared along
+// with a variable, like Array).
+Converter.prototype.lookupConstructorType = function(qname) {
+    var instance = this.type_env.get(qname)
+    if (!(instance instanceof TObject) || instance.meta.kind !== 'class')
+        return null
+    var i = qname.lastIndexOf('.')
+    var parent = i < 0 ? this.global_type : this.type_env.get('module:' + qname.substring(0, i))
+    var ctor = parent && parent.modules.get(qname.substring(i + 1))
+    return ctor ? this.resolveToObject(ctor) : null
+}
+
+Converter.prototype.inheritConstructors = function(entry) {
+    var self = this
+    if (entry.inherited)
+        return;
+    if (entry.inheriting)
+        throw new TypeError("Cyclic inheritance involving " + entry.selfType, [entry.position])
+    entry.inheriting = true
+    var base = self.resolveType(entry.base)
+    var baseRef = base instanceof TGeneric ? base.base : base
+    var baseCtor = baseRef instanceof TQualifiedReference && self.lookupConstructorType(baseRef.qname)
+    if (!baseCtor) {
+        entry.inherited = true
+        return;
+    }
+    self.implicit_constructors.forEach(function(other) {
+        if (other.constructorType === baseCtor)
+            self.inheritConstructors(other)
+    })
+    // the base constructors are generic in the type parameters of the base class
+    var baseInstance = self.lookupQualifiedType(baseRef.qname)
+    var tenv = new Map
+    baseInstance.typeParameters.forEach(function(tp,i) {
+        tenv.put(tp.name, base instanceof TGeneric ? base.args[i] : TAny)
+    })
+    var classTypeParams = baseInstance.typeParameters.map(function(tp) {return tp.name})
+    entry.constructorType.calls = entry.constructorType.calls.filter(function(call) {
+        return !call.new
+    }).concat(baseCtor.calls.filter(function(call) {
+        return call.new
+    }).map(function(call) {
+        var inherited = substCall({
+            new: true,
+            variadic: call.variadic,
+            indexer: false,
+            typeParameters: call.typeParameters.filter(function(tp) {
+                return classTypeParams.indexOf(tp.name) === -1
+            }),
+            parameters: call.parameters,
+            returnType: call.returnType,
+            meta: call.meta
+        }, tenv)
+        inherited.typeParameters = entry.typeParameters.concat(inherited.typeParameters)
+        inherited.returnType = entry.selfType
+        inherited.meta = { implicit: true, doc: call.meta.doc }
+        return inherited
+    }))
+    entry.inherited = true
+}
+
+Converter.prototype.inheritancePhase = function() {
+    var self = this
+    self.type_env.forEach(function(name,value) {
         if (value instanceof TObject) // do not visit enum types
-            inheritObject(value)
+            self.inheritObject(value)
+    })
+    self.implicit_constructors.forEach(function(entry) {
+        self.tryConvert(function() {
+            self.inheritConstructors(entry)
+        })
     })
 }
 
@@ -1261,15 +1686,14 @@ function inheritancePhase() {
 //  	Dump (for debugging)
 // --------------------------------------------
 
+// References print as what they resolved to, once resolved
 TReference.prototype.inspect = function() {
-	resolveType(this)
-	if (this.resolution.qname)
+	if (this.resolution && this.resolution.qname)
 		return this.resolution.qname;
 	return  this.name;
 }
 TMember.prototype.inspect = function() {
-	resolveType(this)
-	if (this.resolution.qname)
+	if (this.resolution && this.resolution.qname)
 		return this.resolution.qname;
 	return this.base + '.' + this.name
 }
@@ -1379,6 +1803,12 @@ function outputType(type) {
     else if (type instanceof TString) {
         return { type: 'string-const', value: type.value }
     }
+    else if (type instanceof TUnion) {
+        return { type: 'union', types: type.types.map(outputType) }
+    }
+    else if (type instanceof TTuple) {
+        return { type: 'tuple', elements: type.elements.map(outputType) }
+    }
     else {
         throw new Error("Cannot output " + (type && type.constructor.name) + ': ' + util.inspect(type))
     }
@@ -1396,12 +1826,51 @@ function outputTypeDef(td) {
         object: outputType(td)
     }
 }
-function outputPhase() {
+function outputAlias(alias) {
+    return {
+        typeParameters: alias.typeParameters,
+        type: outputType(alias.type)
+    }
+}
+// Maps the qualified name of each type declared in the input files to the location of its
+// declaration and those of its properties, for diagnostics. Lib files (whose names start
+// with '>') are left out.
+function isInInputFile(pos) {
+    return pos && pos.file[0] !== '>'
+}
+Converter.prototype.outputLocations = function() {
+    var self = this
+    var locations = new Map
+    self.type_env.forEach(function(qname, type) {
+        if (!(type instanceof TObject) || !isInInputFile(type.position))
+            return;
+        var members = new Map
+        type.properties.forEach(function(name, prty) {
+            if (isInInputFile(prty.position))
+                members.put(name, self.getLocation(prty.position))
+        })
+        locations.put(qname, {
+            declaration: self.getLocation(type.position),
+            members: members.json()
+        })
+    })
+    return locations.json()
+}
+Converter.prototype.outputUnresolvedReference = function(entry) {
+    return {
+        scopes: entry.scopes,
+        location: entry.position ? this.getLocation(entry.position) : null
+    }
+}
+Converter.prototype.outputPhase = function() {
     return {
         global: "<global>",
-        env: type_env.mapv(outputTypeDef).json(),
-        externs: extern_types.mapv(outputExtern).json(),
-        enums: enum_types.json(),
+        env: this.type_env.mapv(outputTypeDef).json(),
+        externs: this.extern_types.mapv(outputExtern).json(),
+        enums: this.enum_types.json(),
+        aliases: this.alias_types.mapv(outputAlias).json(),
+        unresolved: this.unresolved_references.mapv(this.outputUnresolvedReference.bind(this)).json(),
+        locations: this.outputLocations(),
     }
 }
 
@@ -1410,40 +1879,49 @@ function outputPhase() {
 // --------------------------------------------
 
 module.exports = convert;
-var inputs;
-function convert(arg) {
+// Converts d.ts files to TypeScript Declaration Core, with a new Converter each time.
+// arg: the text of a d.ts, or an array of {file, text}.
+// collector: see Converter.
+function convert(arg, collector) {
+    return new Converter(collector).convert(arg)
+}
+Converter.prototype.convert = function(arg) {
+    var self = this
     if (typeof arg === 'string') {
-        inputs = [{file:'', text:arg}]
+        self.inputs = [{file:'', text:arg}]
     } else if (arg instanceof Array) {
-        inputs = arg.clone();
+        self.inputs = arg.clone();
     } else {
         throw new Error("Illegal argument: " + util.inspect(arg))
     }
-    inputs = inputs.map(function(input) {
+    self.inputs = self.inputs.map(function(input) {
         return {
             file: input.file,
             text: input.text,
             ast: TypeScript.parse(input.text)
         }
     })
-    parsingPhase()
-    mergingPhase()
-    typeEnvironmentPhase()
-    nameResolutionPhase()
-    demodulePhase()
-    inheritancePhase()
-    var json = outputPhase();
-
-    // clean-up
-    inputs = null;
-    global_type = null;
-    type_env = null;
-    extern_types = null;
-    current_scope = null;
-    current_node = null;
-    enum_types = null;
-
-    return json;
+    if (self.diagnostics) {
+        self.inputs.forEach(function(input) {
+            input.ast.syntaxDiagnostics.forEach(function(d) {
+                var message = "Syntax error, skipped by the parser: " + d.message().replace(/^error TS\d+: /, '')
+                self.diagnostics.warning(message, [self.getLocation({file: input.file, position: d.start()})])
+            })
+        })
+    }
+    try {
+        self.parsingPhase()
+        self.mergingPhase()
+        self.typeEnvironmentPhase()
+        self.nameResolutionPhase()
+        self.demodulePhase()
+        self.inheritancePhase()
+        return self.outputPhase()
+    } catch (e) {
+        if (e.diagnostic)
+            self.locateError(e) // errors in the d.ts are thrown when they aren't collected
+        throw e
+    }
 }
 
 
@@ -1458,6 +1936,7 @@ function main() {
     program.option('--pretty', 'Print pretty JSON, for human inspection')
         .option('--silent', 'Print nothing')
         .option('--lib', "Include TypeScript\'s lib.d.ts file")
+        .option('--target <targets>', "Comma-separated parts of lib.d.ts to include: " + loadBaseline.targets.join(', '))
     program.parse(process.argv)
 
     if (program.args.length < 1) {
@@ -1471,10 +1950,7 @@ function main() {
         }
     })
     if (program.lib) {
-        inputs.unshift({
-            file: ">lib.d.ts",
-            text: fs.readFileSync(__dirname + '/lib/lib.d.ts', 'utf8')
-        })
+        inputs = loadBaseline({targets: program.target && program.target.split(',')}).concat(inputs)
     }
     var json = convert(inputs)
     if (program.silent)
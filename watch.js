@@ -0,0 +1,51 @@
+"use strict";
+
+// Calls a function when files change, for --watch. Files are polled rather than watched
+// with fs.watch because many editors save by replacing the file, after which fs.watch no
+// longer reports changes to it. Files which don't exist yet are watched for their creation.
+
+var fs = require('fs');
+var path = require('path');
+
+var pollInterval = 300;
+// Saving several files at once (or an editor writing a file in several steps) results in
+// a single call
+var settleDelay = 100;
+
+// Returns a watcher which calls onChange once the watched files stop changing. Use
+// watcher.setFiles to choose the files to watch.
+function watchFiles(onChange) {
+    var watched = {};
+    var timer = null;
+
+    function listener(curr, prev) {
+        if (curr.mtime.getTime() === prev.mtime.getTime() && curr.size === prev.size) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(onChange, settleDelay);
+    }
+
+    return {
+        // Watches the given files and stops watching any others
+        setFiles: function (files) {
+            var keep = {};
+            files.forEach(function (file) {
+                var key = path.resolve(file);
+                keep[key] = true;
+                if (!watched[key]) {
+                    watched[key] = true;
+                    fs.watchFile(key, { interval: pollInterval }, listener);
+                }
+            });
+            Object.keys(watched).forEach(function (key) {
+                if (!keep[key]) {
+                    fs.unwatchFile(key, listener);
+                    delete watched[key];
+                }
+            });
+        }
+    };
+}
+
+module.exports = watchFiles;